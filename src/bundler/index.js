@@ -0,0 +1,102 @@
+const path = require('path');
+const { validateOptions, resolveOptions } = require('../lib/options');
+const { createWardStore } = require('../lib/fixes');
+const { withLogger } = require('../lib/logger');
+const { collectFindings } = require('../lib/processor');
+const { isComponentFile } = require('../lib/sfc');
+
+// Shared by the webpack, Rollup, Vite and Next.js plugins: checks each module the bundler loads
+// with the AST engine and turns the pending fixes into build warnings or errors
+
+// Bundler module ids can carry a query (e.g. `?import`); the file is everything before it
+function toFilePath(id) {
+  return id.split('?')[0];
+}
+
+// Describe a finding the way --check does: where it is and the suggested escape
+function formatFinding(finding, cwd = process.cwd()) {
+  const relativePath = path.relative(cwd, finding.filePath).split(path.sep).join('/');
+  return `${relativePath}:${finding.line}:${finding.column}  ${finding.entity} -> ${finding.escaped}`;
+}
+
+// Describe all of a module's findings in one message
+function formatFindings(findings, cwd = process.cwd()) {
+  const lines = findings.map(finding => `  ${formatFinding(finding, cwd)}`);
+  return `literal-hell: ${findings.length} unescaped entities need fixing\n${lines.join('\n')}`;
+}
+
+// Create the checker for a build from the plugin's options
+// Options are the config file options plus:
+//   cwd           Project directory to load config and wards from (default: process.cwd())
+//   failOnIssues  Fail the build instead of warning (default: false)
+//   kinds         Only report these kinds of fixes (default: ['jsx-text', 'template-text'], the ones that break builds)
+//   onlyChars     Only report fixes for these characters, e.g. ["'"]
+//   wards         Whether to honor the project's .literal-hell-wards file (default: true)
+//   logger        Function called with (message, level) for progress logs (default: silent)
+function createModuleChecker(pluginOptions = {}) {
+  const {
+    cwd = process.cwd(),
+    failOnIssues = false,
+    kinds = ['jsx-text', 'template-text'],
+    onlyChars = null,
+    wards = true,
+    logger = () => {},
+    ...configOptions
+  } = pluginOptions;
+  
+  const runOptions = withLogger(logger, () => {
+    validateOptions(configOptions, 'literal-hell plugin options');
+    const { options: resolved } = resolveOptions(configOptions, { cwd });
+    // Modules are checked one at a time as the bundler loads them, so only the AST engine is fast enough
+    return {
+      ...resolved,
+      engine: 'ast',
+      cwd,
+      kinds,
+      onlyChars,
+      wards: wards ? createWardStore({ cwd }).load() : null
+    };
+  });
+  
+  // Pending findings by file, so unchanged modules aren't parsed again on rebuilds or by a second compiler
+  const cache = new Map();
+  
+  return {
+    failOnIssues,
+    
+    // Check whether a module is one of the project's source files
+    // Queries on component files are requests for one of their blocks, which the whole file covers
+    shouldCheck(id) {
+      const filePath = toFilePath(id);
+      return path.isAbsolute(filePath) &&
+        !(filePath !== id && isComponentFile(filePath)) &&
+        !filePath.split(path.sep).includes('node_modules') &&
+        !path.relative(cwd, filePath).startsWith('..') &&
+        runOptions.extensions.includes(path.extname(filePath).slice(1));
+    },
+    
+    // Find the pending fixes in a module's source
+    async check(id, code) {
+      const filePath = toFilePath(id);
+      const cached = cache.get(filePath);
+      if (cached && cached.code === code) {
+        return cached.findings;
+      }
+      
+      // Parse errors are left for the bundler to report
+      const { findings } = await withLogger(logger, () => collectFindings([filePath], runOptions, { [filePath]: code }));
+      const pending = findings.filter(finding => finding.status === 'pending');
+      cache.set(filePath, { code, findings: pending });
+      return pending;
+    },
+    
+    formatFinding: finding => formatFinding(finding, cwd),
+    formatFindings: findings => formatFindings(findings, cwd)
+  };
+}
+
+module.exports = {
+  createModuleChecker,
+  formatFinding,
+  formatFindings
+};
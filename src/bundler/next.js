@@ -0,0 +1,28 @@
+const { createModuleChecker } = require('./index');
+const { createLoaderRule } = require('./webpack');
+
+// Next.js config wrapper: `module.exports = withLiteralHell(nextConfig, options)`
+// Warns during `next dev` and fails `next build` (unless failOnIssues says otherwise)
+// Takes the same options as createModuleChecker; webpack only, so Turbopack isn't checked
+function withLiteralHell(nextConfig = {}, options = {}) {
+  // Next.js configs can also be (async) functions of the phase
+  if (typeof nextConfig === 'function') {
+    return async (...args) => withLiteralHell(await nextConfig(...args), options);
+  }
+  
+  // One checker for the client and server compilers, so each module is only parsed once
+  let checker = null;
+  
+  return {
+    ...nextConfig,
+    webpack(config, context) {
+      checker = checker || createModuleChecker({ cwd: context.dir, failOnIssues: !context.dev, ...options });
+      config.module.rules.push(createLoaderRule(checker));
+      
+      return typeof nextConfig.webpack === 'function' ? nextConfig.webpack(config, context) : config;
+    }
+  };
+}
+
+module.exports = withLiteralHell;
+module.exports.withLiteralHell = withLiteralHell;
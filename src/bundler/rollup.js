@@ -0,0 +1,33 @@
+const { createModuleChecker } = require('./index');
+
+// Rollup plugin: `plugins: [literalHell(), typescript(), ...]`
+// List it before plugins that transform JSX or TypeScript, so it sees the original source
+// Takes the same options as createModuleChecker
+function literalHell(options = {}) {
+  const checker = createModuleChecker(options);
+  
+  return {
+    name: 'literal-hell',
+    
+    async transform(code, id) {
+      if (!checker.shouldCheck(id)) {
+        return null;
+      }
+      
+      const findings = await checker.check(id, code);
+      if (findings.length === 0) {
+        return null;
+      }
+      if (checker.failOnIssues) {
+        this.error(checker.formatFindings(findings));
+      }
+      // Rollup columns are 0-based
+      for (const finding of findings) {
+        this.warn(checker.formatFinding(finding), { line: finding.line, column: finding.column - 1 });
+      }
+      return null;
+    }
+  };
+}
+
+module.exports = literalHell;
@@ -0,0 +1,13 @@
+const rollupPlugin = require('./rollup');
+
+// Vite plugin: `plugins: [literalHell(), react()]`
+// The Rollup plugin, run before Vite's own transforms so it sees the original source
+// Issues show up in the terminal during `vite dev`, and with failOnIssues in the error overlay
+function literalHell(options = {}) {
+  return {
+    ...rollupPlugin(options),
+    enforce: 'pre'
+  };
+}
+
+module.exports = literalHell;
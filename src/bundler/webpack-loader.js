@@ -0,0 +1,26 @@
+// webpack loader added by the literal-hell webpack plugin: reports unescaped entities in a module's
+// source and passes the source on unchanged
+module.exports = function literalHellLoader(source, map) {
+  const callback = this.async();
+  // webpack 4 has no getOptions, but gives object options as the query
+  const { checker } = this.getOptions ? this.getOptions() : this.query;
+  if (!checker.shouldCheck(this.resource)) {
+    callback(null, source, map);
+    return;
+  }
+  
+  checker.check(this.resourcePath, String(source)).then(findings => {
+    if (findings.length > 0) {
+      const error = new Error(checker.formatFindings(findings));
+      if (checker.failOnIssues) {
+        this.emitError(error);
+      } else {
+        this.emitWarning(error);
+      }
+    }
+    callback(null, source, map);
+  }, error => {
+    this.emitWarning(new Error(`literal-hell: could not check ${this.resourcePath}: ${error.message}`));
+    callback(null, source, map);
+  });
+};
@@ -0,0 +1,28 @@
+const { createModuleChecker } = require('./index');
+
+const LOADER = require.resolve('./webpack-loader');
+
+// Create the module rule that runs our loader before any other loader transforms the source,
+// so reported lines and columns are the original file's
+function createLoaderRule(checker) {
+  return {
+    enforce: 'pre',
+    test: resource => checker.shouldCheck(resource),
+    use: [{ loader: LOADER, options: { checker } }]
+  };
+}
+
+// webpack plugin: `plugins: [literalHell({ failOnIssues: true })]`
+// Takes the same options as createModuleChecker
+function literalHell(options = {}) {
+  const checker = createModuleChecker(options);
+  
+  return {
+    apply(compiler) {
+      compiler.options.module.rules.push(createLoaderRule(checker));
+    }
+  };
+}
+
+module.exports = literalHell;
+module.exports.createLoaderRule = createLoaderRule;
@@ -0,0 +1,24 @@
+const { VERSION } = require('../lib/config');
+
+// eslint-plugin-literal-hell: literal-hell's detection and fixes as an ESLint rule, for `eslint --fix` and editors
+const plugin = {
+  meta: {
+    name: 'eslint-plugin-literal-hell',
+    version: VERSION
+  },
+  rules: {
+    'no-unescaped': require('./rules/no-unescaped')
+  },
+  configs: {}
+};
+
+// Flat config only (`plugin.configs['flat/recommended']`): an .eslintrc `plugin:literal-hell/recommended`
+// would need a separate eslint-plugin-literal-hell package for ESLint to resolve the plugin name
+plugin.configs['flat/recommended'] = {
+  plugins: { 'literal-hell': plugin },
+  rules: {
+    'literal-hell/no-unescaped': 'error'
+  }
+};
+
+module.exports = plugin;
@@ -0,0 +1,134 @@
+const { DEFAULT_FORBIDDEN_ENTITIES, ENTITY_STYLES, SMART_QUOTES_MODES, DEFAULT_OPTIONS } = require('../../lib/config');
+const { getEscapeFor, escapeString, shouldExcludeFromEscaping, isAutoSkipPattern } = require('../../lib/escape');
+const { getSmartQuote } = require('../../lib/typography');
+
+// Rule options, named like literal-hell's own options
+const OPTIONS_SCHEMA = {
+  type: 'object',
+  properties: {
+    strict: { type: 'boolean' },
+    entityStyle: { enum: Object.keys(ENTITY_STYLES) },
+    entities: {
+      type: 'object',
+      additionalProperties: { type: 'string', minLength: 1 }
+    },
+    smartQuotes: { enum: SMART_QUOTES_MODES },
+    stringLiterals: { type: 'boolean' },
+    autoSkip: {
+      type: 'object',
+      properties: Object.fromEntries(Object.keys(DEFAULT_OPTIONS.autoSkip).map(name => [name, { type: 'boolean' }])),
+      additionalProperties: false
+    }
+  },
+  additionalProperties: false
+};
+
+// Get the reason a piece of text is left alone by the auto-skip heuristics, if any
+function getSkipReason(text, filename, loc, options) {
+  if (shouldExcludeFromEscaping(text, options)) {
+    return 'excluded';
+  }
+  const autoSkip = isAutoSkipPattern(text, filename, loc.line, loc.column + 1, options);
+  return autoSkip ? autoSkip.reason : null;
+}
+
+// ESLint 9 has these as properties; ESLint 8 only has the methods
+const getSourceCode = context => context.sourceCode || context.getSourceCode();
+const getFilename = context => context.filename || context.getFilename();
+
+// Report (and fix) each forbidden character in JSX text, one at a time like react/no-unescaped-entities
+function checkJsxText(context, node, options) {
+  const sourceCode = getSourceCode(context);
+  const raw = sourceCode.getText(node);
+  const filename = getFilename(context);
+  
+  // The auto-skip heuristics look at the whole text, e.g. a CSS selector like &[data-state='open']
+  if (getSkipReason(raw.trim(), filename, node.loc.start, options)) {
+    return;
+  }
+  
+  for (let index = 0; index < raw.length; index++) {
+    const char = raw[index];
+    const alternatives = DEFAULT_FORBIDDEN_ENTITIES[char];
+    if (!alternatives) {
+      continue;
+    }
+    
+    const start = node.range[0] + index;
+    const loc = sourceCode.getLocFromIndex(start);
+    
+    const isQuote = char === "'" || char === '"';
+    const escaped = isQuote && options.smartQuotes && options.smartQuotes !== 'off'
+      ? getSmartQuote(raw, index, options.smartQuotes)
+      : getEscapeFor(char, options, { jsx: true, alternatives });
+    
+    context.report({
+      node,
+      loc: { start: loc, end: sourceCode.getLocFromIndex(start + 1) },
+      messageId: 'unescaped',
+      data: { char, escaped },
+      fix: fixer => fixer.replaceTextRange([start, start + 1], escaped)
+    });
+  }
+}
+
+// Report string literals literal-hell would escape, fixing them when the source has no escape sequences
+function checkStringLiteral(context, node, options) {
+  // Attribute values, imports and object keys are code, not copy
+  const { parent } = node;
+  if (typeof node.value !== 'string' || !parent || parent.type === 'JSXAttribute' ||
+      parent.type === 'ImportDeclaration' || parent.type === 'ExportAllDeclaration' ||
+      parent.type === 'ExportNamedDeclaration' || (parent.type === 'Property' && parent.key === node)) {
+    return;
+  }
+  if (getSkipReason(node.value, getFilename(context), node.loc.start, options)) {
+    return;
+  }
+  
+  const result = escapeString(node.value, options);
+  if (typeof result === 'string' || result.result === node.value) {
+    return;
+  }
+  
+  // Escaped strings have no quotes left, so they can be re-quoted as they were
+  const raw = getSourceCode(context).getText(node);
+  const quote = raw[0];
+  const canFix = raw.slice(1, -1) === node.value;
+  context.report({
+    node,
+    messageId: 'unescapedString',
+    data: { chars: result.escapedChars.join(' '), escaped: result.result },
+    fix: canFix ? fixer => fixer.replaceText(node, `${quote}${result.result}${quote}`) : null
+  });
+}
+
+module.exports = {
+  meta: {
+    type: 'problem',
+    docs: {
+      description: "Disallow unescaped quotes and other entities in JSX text, with literal-hell's fixes",
+      url: 'https://github.com/claren/literal-hell#eslint-plugin'
+    },
+    fixable: 'code',
+    schema: [OPTIONS_SCHEMA],
+    messages: {
+      unescaped: '`{{char}}` can be escaped with `{{escaped}}`.',
+      unescapedString: 'String contains {{chars}}, which can be escaped as `{{escaped}}`.'
+    }
+  },
+  
+  create(context) {
+    const options = context.options[0] || {};
+    
+    return {
+      JSXText(node) {
+        checkJsxText(context, node, options);
+      },
+      Literal(node) {
+        if (options.stringLiterals) {
+          checkStringLiteral(context, node, options);
+        }
+      }
+    };
+  }
+};
@@ -1,56 +1,129 @@
-#!/usr/bin/env node
-
-const globby = require('globby');
-const { parseArgs } = require('./lib/cli');
-const { loadRejectedFixes, saveRejectedFixes } = require('./lib/fixes');
-const { processFiles } = require('./lib/processor');
-const { cleanupStdin } = require('./lib/ui');
+const fs = require('fs');
+const path = require('path');
+const { VERSION, DEFAULT_OPTIONS } = require('./lib/config');
+const { validateOptions, resolveOptions } = require('./lib/options');
+const { createWardStore } = require('./lib/fixes');
 const { initESLint } = require('./lib/eslint');
-const { log } = require('./lib/logger');
+const { findFiles } = require('./lib/discovery');
+const { applyEdits } = require('./lib/edits');
+const { withLogger } = require('./lib/logger');
+const { collectFindings, getFileTextRanges, getUnappliableReason } = require('./lib/processor');
+
+// Library entry point: `require('literal-hell')` gives you scan() and applyFixes() without running the CLI.
+// Nothing here prompts, writes files or exits the process; the CLI lives in src/main.js.
 
-async function main() {
-  // Parse command line arguments and set up global state
-  parseArgs();
+// Find every unescaped character in the given paths and globs (or the include option when there are none)
+// Options are the config file options plus:
+//   cwd        Project directory to scan and load config and wards from (default: process.cwd())
+//   onlyChars  Only report fixes for these characters, e.g. ["'"]
+//   kinds      Only report these kinds of fixes, e.g. ['jsx-text']
+//   wards      Whether to honor the project's .literal-hell-wards file (default: true)
+//   logger     Function called with (message, level) for progress logs (default: silent)
+// Returns { findings, failedFiles, scannedFiles }, with a finding per fix and the status it would get
+async function scan(paths = [], options = {}) {
+  const {
+    cwd = process.cwd(),
+    onlyChars = null,
+    kinds = null,
+    wards = true,
+    logger = () => {},
+    ...configOptions
+  } = options;
+  const targets = typeof paths === 'string' ? [paths] : paths;
   
-  // Load previously rejected fixes
-  loadRejectedFixes();
+  return withLogger(logger, async () => {
+    validateOptions(configOptions, 'scan() options');
+    const { options: resolved } = resolveOptions(configOptions, { cwd });
+    const runOptions = {
+      ...resolved,
+      cwd,
+      onlyChars,
+      kinds,
+      paths: targets.length > 0 ? targets : null,
+      wards: wards ? createWardStore({ cwd }).load() : null,
+      // Keeps ESLint from writing its .eslintcache
+      api: true
+    };
   
-  // Initialize ESLint instance
-  await initESLint();
+    if (runOptions.engine !== 'ast') {
+      runOptions.eslint = await initESLint(runOptions);
+    }
   
-  // Find all JavaScript and TypeScript files
-  log('Searching for JavaScript and TypeScript files...', 'info');
-  const filePaths = await globby(['**/*.js', '**/*.ts', '**/*.jsx', '**/*.tsx'], {
-    ignore: ['node_modules/**', 'dist/**', 'build/**'],
-    gitignore: true
+    const scannedFiles = (await findFiles(runOptions)).map(filePath => path.resolve(cwd, filePath));
+    const { findings, failedFiles } = await collectFindings(scannedFiles, runOptions);
+    return { findings, failedFiles, scannedFiles };
   });
+}
   
-  if (filePaths.length === 0) {
-    log('No JavaScript or TypeScript files found to process', 'warning');
-    return;
+// Check whether a finding should be applied: by default every pending one
+// decisions can map finding ids to true/false, or be a function of the finding
+function isApproved(finding, decisions) {
+  if (typeof decisions === 'function') {
+    return !!decisions(finding);
+  }
+  if (decisions && finding.id in decisions) {
+    return !!decisions[finding.id];
+  }
+  return finding.status === 'pending';
+}
+
+// Apply the approved findings from scan() to their files' current contents, without writing anything
+// contents can supply a file's content (by absolute path) instead of reading it from disk
+// Returns { files, applied, skipped }: the new content of each changed file, the findings that were
+// applied, and { finding, reason } for approved findings that couldn't be applied
+function applyFixes(findings, decisions = null, contents = {}) {
+  const byFile = {};
+  for (const finding of findings) {
+    if (isApproved(finding, decisions)) {
+      (byFile[finding.filePath] = byFile[finding.filePath] || []).push(finding);
+    }
   }
   
-  log(`Found ${filePaths.length} files to process`, 'info');
+  const files = {};
+  const applied = [];
+  const skipped = [];
   
-  // Set up cleanup for stdin on process exit
-  cleanupStdin();
+  for (const [filePath, fileFindings] of Object.entries(byFile)) {
+    let fileContent;
+    try {
+      fileContent = filePath in contents ? contents[filePath] : fs.readFileSync(filePath, 'utf8');
+    } catch (error) {
+      fileFindings.forEach(finding => skipped.push({ finding, reason: `could not read the file: ${error.message}` }));
+      continue;
+    }
   
-  // Handle SIGINT to save rejection history before exiting
-  process.on('SIGINT', () => {
-    log('Saving rejection history and exiting...', 'info');
-    saveRejectedFixes();
-    process.exit(0);
-  });
+    // Only edit inside JSX text and string literals, as the CLI does; parse failures are reported as skips
+    const textRanges = withLogger(() => {}, () => getFileTextRanges(fileContent, filePath));
+    const edits = [];
+    for (const finding of fileFindings) {
+      const reason = getUnappliableReason({ range: finding.range, isJsx: finding.kind === 'jsx-text', kind: finding.kind }, textRanges);
+      if (reason) {
+        skipped.push({ finding, reason });
+        continue;
+      }
+      edits.push({
+        start: finding.range[0],
+        end: finding.range[1],
+        original: finding.entity,
+        text: finding.escaped,
+        finding
+      });
+    }
   
-  // Process all files
-  await processFiles(filePaths);
+    const result = applyEdits(fileContent, edits);
+    result.skipped.forEach(({ edit, reason }) => skipped.push({ finding: edit.finding, reason }));
+    if (result.applied.length > 0) {
+      files[filePath] = result.content;
+      applied.push(...result.applied.map(edit => edit.finding));
+    }
+  }
   
-  // Save rejection history before exiting
-  saveRejectedFixes();
+  return { files, applied, skipped };
 }
 
-// Run the main function
-main().catch((error) => {
-  console.error('Fatal error:', error);
-  process.exit(1);
-}); 
\ No newline at end of file
+module.exports = {
+  VERSION,
+  DEFAULT_OPTIONS,
+  scan,
+  applyFixes
+};
@@ -1,6 +1,11 @@
 const babelParser = require('@babel/parser');
 const traverse = require('@babel/traverse').default;
 const { containsHtmlEntities, isSafeToEscapeInJsx, isReactPropValue } = require('./file');
+const { getEscapeFor } = require('./escape');
+const { DEFAULT_FORBIDDEN_ENTITIES } = require('./config');
+const { getSmartQuote } = require('./typography');
+const { getLineOffsets, toLineColumn } = require('./edits');
+const { getSuppressions, isSuppressed } = require('./suppressions');
 
 // Parse file content into AST
 function parseFile(fileContent) {
@@ -19,9 +24,10 @@ function parseFile(fileContent) {
 }
 
 // Find string literals and JSX text nodes that need escaping
-function findStringFixes(ast, filePath, fileContent, strictMode = false) {
+function findStringFixes(ast, filePath, fileContent, options = {}) {
   const stringFixes = [];
   const lines = fileContent.split('\n');
+  const lineOffsets = getLineOffsets(fileContent);
 
   traverse(ast, {
     StringLiteral(path) {
@@ -52,11 +58,15 @@ function findStringFixes(ast, filePath, fileContent, strictMode = false) {
         return;
       }
       
-      // Create escaped version
-      const escaped = original.replace(/['"]/g, c => c === "'" ? '&apos;' : '&quot;');
+      // Escape the literal's source text rather than its value, so the fix replaces exactly what's
+      // between the quotes: a backslash-escaped quote loses its backslash, other escape sequences stay
+      const raw = fileContent.substring(path.node.start + 1, path.node.end - 1);
+      const escaped = raw.replace(/(\\*)(['"])/g, (match, slashes, c) => (
+        slashes.slice(slashes.length % 2) + getEscapeFor(c, options)
+      ));
       
       // Skip if no changes needed
-      if (escaped === original) {
+      if (escaped === raw) {
         return;
       }
       
@@ -64,69 +74,85 @@ function findStringFixes(ast, filePath, fileContent, strictMode = false) {
       stringFixes.push({
         type: 'fix',
         path,
-        original,
+        original: raw,
         escaped,
         escapedChars: [...new Set(original.match(/['"]/g) || [])],
-        loc: path.node.loc,
-        isJsx: false
+        // Columns are 1-based, like ESLint's
+        loc: {
+          start: { line: path.node.loc.start.line, column: path.node.loc.start.column + 1 },
+          end: { line: path.node.loc.end.line, column: path.node.loc.end.column + 1 }
+        },
+        // The string's content, between its quotes
+        range: [path.node.start + 1, path.node.end - 1],
+        isJsx: false,
+        kind: 'string-literal'
       });
     },
     
     JSXText(path) {
-      const rawValue = path.node.value;
-      const original = rawValue.trim();
-      
-      // Skip empty text nodes
-      if (!original) {
-        return;
-      }
-      
-      // Skip if nothing to escape
-      if (!original.includes("'") && !original.includes('"') && 
-          !original.includes('<') && !original.includes('>') && 
-          !original.includes('&')) {
-        return;
-      }
-      
-      // Skip if already contains HTML entities
-      if (containsHtmlEntities(rawValue)) {
-        return;
-      }
-      
-      // Get the raw line for context
-      const rawLine = lines[path.node.loc.start.line - 1] || '';
-      
-      // Skip if unsafe to escape
-      if (!isSafeToEscapeInJsx(original, rawLine)) {
-        return;
+      // Use the source text, since Babel decodes entities like &amp; in the node value
+      const rawValue = path.node.extra ? path.node.extra.raw : path.node.value;
+      
+      // One fix per forbidden character, matching what ESLint reports for JSX text by default
+      for (let index = 0; index < rawValue.length; index++) {
+        const original = rawValue[index];
+        const alternatives = DEFAULT_FORBIDDEN_ENTITIES[original];
+        if (!alternatives) {
+          continue;
+        }
+        
+        // Curl quotes instead in smart quotes mode, looking at the whole text node
+        const isQuote = original === "'" || original === '"';
+        const escaped = isQuote && options.smartQuotes && options.smartQuotes !== 'off'
+          ? getSmartQuote(rawValue, index, options.smartQuotes)
+          : getEscapeFor(original, options, { jsx: true, alternatives });
+        
+        const start = path.node.start + index;
+        const { line, column } = toLineColumn(lineOffsets, start);
+        stringFixes.push({
+          type: 'fix',
+          original,
+          escaped,
+          escapedChars: [original],
+          // Columns are 1-based, like ESLint's
+          loc: {
+            start: { line, column: column + 1 },
+            end: { line, column: column + 2 }
+          },
+          range: [start, start + 1],
+          isJsx: true,
+          kind: 'jsx-text',
+          // The JSX text node the character is in, which the auto-skip heuristics look at
+          context: rawValue.trim(),
+          rawValue: original
+        });
       }
-      
-      // Create escaped version
-      const escaped = original.replace(/['"]/g, c => c === "'" ? '&apos;' : '&quot;');
-      
-      // Skip if no changes needed
-      if (escaped === original) {
-        return;
-      }
-      
-      // Add to fixes
-      stringFixes.push({
-        type: 'fix',
-        path,
-        original,
-        escaped,
-        escapedChars: [...new Set(original.match(/['"]/g) || [])],
-        loc: path.node.loc,
-        isJsx: true,
-        rawValue
-      });
     }
   });
 
-  return stringFixes;
+  // Leave out anything covered by a literal-hell-ignore/disable comment
+  const suppressions = getSuppressions(fileContent, ast);
+  return stringFixes.filter(fix => !isSuppressed(suppressions, fix));
+}
+
+// Collect the source ranges of JSX text nodes and string literal contents
+function getTextRanges(ast) {
+  const ranges = { jsxText: [], stringLiteral: [] };
+  
+  traverse(ast, {
+    JSXText(path) {
+      ranges.jsxText.push([path.node.start, path.node.end]);
+    },
+    StringLiteral(path) {
+      ranges.stringLiteral.push([path.node.start + 1, path.node.end - 1]);
+    }
+  });
+  
+  return ranges;
 }
 
 module.exports = {
   parseFile,
+  getTextRanges,
   findStringFixes
 }; 
\ No newline at end of file
@@ -1,19 +1,72 @@
 const chalk = require('chalk');
-const { VERSION, setVerbose, setStrictMode } = require('./config');
-const { clearRejectionHistory } = require('./fixes');
+const { VERSION, EXIT_CODES, FIX_KINDS, ENGINES, ENTITY_STYLES } = require('./config');
+const { splitList, validateOptions, resolveOptions } = require('./options');
+const { getReporter } = require('./reporters');
+const { log, setLogToStderr } = require('./logger');
+
+// Flags that take a value, so `--since main` doesn't make "main" a path to scan
+const VALUE_FLAGS = [
+  '--only-chars',
+  '--kinds',
+  '--patch',
+  '--format',
+  '--output',
+  '--engine',
+  '--since',
+  '--include',
+  '--exclude',
+  '--extensions',
+  '--max-file-size',
+  '--entity-style',
+  '--entity',
+  '--config',
+  '--stdin-filename'
+];
 
 // Display help text
 function showHelp() {
   console.log(chalk.bold('\nliteral-hell: HTML entity escaping for string literals\n'));
   console.log('Usage:');
-  console.log('  literal-hell [options]\n');
+  console.log('  literal-hell [options] [paths...]');
+  console.log('  literal-hell --stdin --stdin-filename <file> [options]');
+  console.log('  literal-hell wards <command>   Manage rejected fixes (see literal-hell wards --help)');
+  console.log('  literal-hell install-hook      Check or fix staged files before every commit (see literal-hell install-hook --help)');
+  console.log('  literal-hell lsp               Language server for editor diagnostics and quick fixes (see literal-hell lsp --help)\n');
   
   console.log('Options:');
-  console.log('  --help, -h       Show this help message');
-  console.log('  --version, -v    Show version information');
-  console.log('  --verbose        Show detailed logs during processing');
-  console.log('  --strict         Force prompt for all fixes (no auto-skipping)');
-  console.log('  --clear-history  Clear rejection history (re-check previously skipped items)\n');
+  console.log('  --help, -h             Show this help message');
+  console.log('  --version, -v          Show version information');
+  console.log('  --verbose              Show detailed logs during processing');
+  console.log('  --strict               Force prompt for all fixes (no auto-skipping)');
+  console.log('  --check, --ci          Report pending fixes without prompting or modifying files');
+  console.log('  --yes, -y              Apply every fix that passes the auto-skip heuristics without prompting');
+  console.log('  --only-chars <chars>   Only handle fixes for these characters (e.g. "\'\\"")');
+  console.log(`  --kinds <kinds>        Only handle these kinds of fixes (${FIX_KINDS.join(', ')})`);
+  console.log('  --dry-run              Show a unified diff of the fixes instead of modifying files');
+  console.log('  --patch <file>         Save the unified diff to <file> (implies --dry-run)');
+  console.log('  --format <format>      Report format: text, json, sarif, junit, checkstyle or a reporter module path');
+  console.log('  --output <file>        Write the --format report to <file> instead of stdout');
+  console.log(`  --engine <engine>      Detection engine: ${ENGINES.join(', ')} (default: eslint)`);
+  console.log("  --use-project-eslint   Use the project's own ESLint config instead of next/core-web-vitals");
+  console.log('  --stdin                Read source from stdin and print the fixed source to stdout');
+  console.log('  --stdin-filename <file>  File name for the source read from stdin (default: stdin.tsx)');
+  console.log('  --staged               Only scan the staged content of files staged for commit');
+  console.log('  --since <ref>          Only scan files changed since the branch point with <ref> (e.g. main)');
+  console.log('  --changed-lines        Only handle fixes on changed lines (uncommitted changes unless --staged/--since)');
+  console.log('  --include <glob>       Only scan files matching <glob> (repeatable)');
+  console.log('  --exclude <glob>       Skip files matching <glob> (repeatable)');
+  console.log('  --extensions <list>    Comma-separated file extensions to scan (default: js,ts,jsx,tsx,vue,svelte,astro,mdx)');
+  console.log('  --max-file-size <bytes>  Skip files larger than <bytes> (default: 1MB)');
+  console.log(`  --entity-style <style>  How to escape characters: ${Object.keys(ENTITY_STYLES).join(', ')} (default: named)`);
+  console.log('  --entity <char>=<value>  Style or literal replacement for one character (repeatable)');
+  console.log('  --smart-quotes[=unicode]  Curl quotes in JSX text (&lsquo; &rsquo; &ldquo; &rdquo;, or Unicode characters)');
+  console.log('  --config <file>        Load options from <file> instead of looking for one');
+  console.log('  --print-config         Print the effective options and exit');
+  console.log('  --clear-history        Clear rejection history (re-check previously skipped items)\n');
+  
+  console.log('Configuration:');
+  console.log('  Options are read from .literal-hellrc.json, literal-hell.config.js or the "literal-hell"');
+  console.log('  key in package.json, then overridden by LITERAL_HELL_* environment variables and flags.\n');
   
   console.log('Interactive Commands:');
   console.log('  y (or Enter)  Apply the fix');
@@ -21,14 +74,87 @@ function showHelp() {
   console.log('  q             Save changes and exit');
   console.log('  c             Show surrounding code context before deciding\n');
   
+  console.log('Exit Codes:');
+  console.log('  0  No unescaped entities remain (or interactive run finished)');
+  console.log('  1  Unescaped entities found (--check and --format only)');
+  console.log('  2  Tool error (ESLint failure, unreadable files, etc.)\n');
+  
   console.log('Examples:');
   console.log('  literal-hell              Basic usage');
   console.log('  literal-hell --strict     Review all potential fixes');
-  console.log('  literal-hell --verbose    Show detailed logs\n');
+  console.log('  literal-hell --verbose    Show detailed logs');
+  console.log('  literal-hell --check      Fail the build if anything needs escaping');
+  console.log('  literal-hell src/components "app/**/*.tsx"   Only scan these directories, files and globs');
+  console.log('  literal-hell --stdin --stdin-filename Foo.tsx < Foo.tsx   Print Foo.tsx with its fixes applied');
+  console.log('  literal-hell --since main --changed-lines --check   Only check lines changed on this branch');
+  console.log('  literal-hell --format sarif --output results.sarif   Report for code-scanning dashboards');
+  console.log('  literal-hell --yes --patch fixes.diff   Save every fix as a patch for review');
+  console.log('  literal-hell --yes --only-chars "\'" --kinds jsx-text   Escape apostrophes in JSX text unattended');
+  console.log('  literal-hell --entity "\'=typographic"   Escape apostrophes as &rsquo;');
+  console.log('  literal-hell --smart-quotes   Turn "quotes" and apostrophes in JSX copy into curly quotes\n');
   
   console.log('For more information, see: https://github.com/claren/literal-hell\n');
 }
 
+// Get the value of an option passed as `--name value` or `--name=value`
+function getArgValue(args, name) {
+  const index = args.indexOf(name);
+  if (index !== -1 && index + 1 < args.length) {
+    return args[index + 1];
+  }
+  
+  const prefix = `${name}=`;
+  const arg = args.find(a => a.startsWith(prefix));
+  return arg ? arg.substring(prefix.length) : undefined;
+}
+
+// Get every value of an option that can be passed more than once
+function getArgValues(args, name) {
+  const values = [];
+  const prefix = `${name}=`;
+  
+  args.forEach((arg, index) => {
+    if (arg === name && index + 1 < args.length) {
+      values.push(args[index + 1]);
+    } else if (arg.startsWith(prefix)) {
+      values.push(arg.substring(prefix.length));
+    }
+  });
+  
+  return values;
+}
+
+// Get the arguments that aren't flags or flag values: the paths and globs to scan
+function getPositionalArgs(args) {
+  return args.filter((arg, index) => !arg.startsWith('-') && !VALUE_FLAGS.includes(args[index - 1]));
+}
+
+// Parse a comma-separated --kinds value and validate each entry
+function parseKinds(value) {
+  const kinds = value.split(',').map(k => k.trim()).filter(Boolean);
+  const invalid = kinds.filter(k => !FIX_KINDS.includes(k));
+  if (invalid.length > 0) {
+    console.error(chalk.red(`Unknown fix kind(s): ${invalid.join(', ')}. Expected one of: ${FIX_KINDS.join(', ')}`));
+    process.exit(EXIT_CODES.TOOL_ERROR);
+  }
+  return kinds;
+}
+
+// Parse repeated --entity <char>=<style|replacement> values into an entities map
+function parseEntities(values) {
+  const entities = {};
+  for (const value of values) {
+    // Split on the first "=" after the character, so "==&#61;" works too
+    const separator = value.indexOf('=', 1);
+    if (separator === -1 || separator === value.length - 1) {
+      console.error(chalk.red(`Invalid --entity value "${value}". Expected <char>=<style|replacement>`));
+      process.exit(EXIT_CODES.TOOL_ERROR);
+    }
+    entities[value.substring(0, separator)] = value.substring(separator + 1);
+  }
+  return entities;
+}
+
 // Parse command line arguments
 function parseArgs() {
   const args = process.argv.slice(2);
@@ -46,38 +172,138 @@ function parseArgs() {
   }
   
   const clearHistory = args.includes('--clear-history');
-  const verbose = args.includes('--verbose');
-  const strict = args.includes('--strict');
+  const check = args.includes('--check') || args.includes('--ci');
+  const yes = args.includes('--yes') || args.includes('-y');
+  const onlyCharsValue = getArgValue(args, '--only-chars');
+  const kindsValue = getArgValue(args, '--kinds');
+  const onlyChars = onlyCharsValue ? [...new Set(onlyCharsValue)] : null;
+  const kinds = kindsValue ? parseKinds(kindsValue) : null;
+  const patchFile = getArgValue(args, '--patch') || null;
+  const dryRun = args.includes('--dry-run') || !!patchFile;
+  const format = getArgValue(args, '--format') || 'text';
+  const outputFile = getArgValue(args, '--output') || null;
+  const configPath = getArgValue(args, '--config') || null;
+  const printConfig = args.includes('--print-config');
+  const staged = args.includes('--staged');
+  const since = getArgValue(args, '--since') || null;
+  const changedLines = args.includes('--changed-lines');
+  const stdin = args.includes('--stdin');
+  const stdinFilename = getArgValue(args, '--stdin-filename') || 'stdin.tsx';
+  const positionalArgs = getPositionalArgs(args);
+  const paths = positionalArgs.length > 0 ? positionalArgs : null;
   
-  // Set global state
-  setVerbose(verbose);
-  setStrictMode(strict);
+  if (staged && since) {
+    console.error(chalk.red('--staged and --since cannot be used together'));
+    process.exit(EXIT_CODES.TOOL_ERROR);
+  }
+  
+  // stdout carries the fixed source with --stdin, and the diff with --dry-run unless it's saved with --patch
+  if (stdin || (dryRun && !patchFile && !check && format === 'text')) {
+    setLogToStderr(true);
+  }
+  
+  // Validate the report format up front, and keep stdout clean for the report itself
+  if (format !== 'text') {
+    try {
+      getReporter(format);
+    } catch (error) {
+      console.error(chalk.red(error.message));
+      process.exit(EXIT_CODES.TOOL_ERROR);
+    }
+    if (!outputFile) {
+      setLogToStderr(true);
+    }
+  }
+  
+  // Only flags that were actually passed override env vars and the config file
+  const includeValues = getArgValues(args, '--include');
+  const excludeValues = getArgValues(args, '--exclude');
+  const extensionsValue = getArgValue(args, '--extensions');
+  const maxFileSizeValue = getArgValue(args, '--max-file-size');
+  const entityValues = getArgValues(args, '--entity');
+  // --smart-quotes takes an optional value, so only the --smart-quotes=<mode> form carries one
+  const smartQuotesArg = args.find(a => a === '--smart-quotes' || a.startsWith('--smart-quotes='));
+  const smartQuotes = smartQuotesArg && (smartQuotesArg.split('=')[1] || 'entities');
+  const cliOptions = Object.fromEntries(Object.entries({
+    verbose: args.includes('--verbose') || undefined,
+    strict: args.includes('--strict') || undefined,
+    include: includeValues.length > 0 ? includeValues : undefined,
+    exclude: excludeValues.length > 0 ? excludeValues : undefined,
+    extensions: extensionsValue ? splitList(extensionsValue) : undefined,
+    maxFileSize: maxFileSizeValue ? Number(maxFileSizeValue) : undefined,
+    engine: getArgValue(args, '--engine'),
+    useProjectEslint: args.includes('--use-project-eslint') || undefined,
+    entityStyle: getArgValue(args, '--entity-style'),
+    entities: entityValues.length > 0 ? parseEntities(entityValues) : undefined,
+    smartQuotes
+  }).filter(([, value]) => value !== undefined));
+  
+  // Resolve CLI flags > env vars > config file > defaults
+  let resolved;
+  try {
+    validateOptions(cliOptions, 'command line flags');
+    resolved = resolveOptions(cliOptions, { configPath });
+  } catch (error) {
+    console.error(chalk.red(error.message));
+    process.exit(EXIT_CODES.TOOL_ERROR);
+  }
+  
+  if (printConfig) {
+    console.log(JSON.stringify({ configFile: resolved.configFile, ...resolved.options }, null, 2));
+    process.exit(EXIT_CODES.SUCCESS);
+  }
+  
+  const { verbose, strict } = resolved.options;
+  const options = {
+    ...resolved.options,
+    configFile: resolved.configFile,
+    clearHistory,
+    check,
+    yes,
+    onlyChars,
+    kinds,
+    dryRun,
+    patchFile,
+    format,
+    outputFile,
+    staged,
+    since,
+    changedLines,
+    paths,
+    stdin,
+    stdinFilename
+  };
   
   // Debug logging
-  console.log(chalk.blue(`Running with options: ${JSON.stringify({
-    verbose,
-    strict,
-    clearHistory
-  })}`));
+  log(`Running with options: ${JSON.stringify(options)}`, 'info');
+  
+  if (resolved.configFile) {
+    log(`Using config file ${resolved.configFile}`, 'info');
+  }
   
   if (strict) {
-    console.log(chalk.yellow('Running in strict mode - will prompt for ALL potential fixes'));
+    log('Running in strict mode - will prompt for ALL potential fixes', 'warning');
   } else {
-    console.log(chalk.blue('Running in normal mode - will auto-skip common patterns'));
+    log('Running in normal mode - will auto-skip common patterns', 'info');
   }
   
-  if (clearHistory) {
-    clearRejectionHistory();
+  if (check || format !== 'text') {
+    log('Running in check mode - will report pending fixes without modifying files', 'info');
+  } else if (yes) {
+    log('Running in auto-apply mode - will apply fixes without prompting', 'warning');
   }
   
-  return {
-    clearHistory,
-    verbose,
-    strict
-  };
+  if (dryRun && !check && format === 'text') {
+    log('Running in dry-run mode - will produce a patch instead of modifying files', 'info');
+  }
+  
+  return options;
 }
 
 module.exports = {
   showHelp,
+  getArgValue,
+  getArgValues,
+  getPositionalArgs,
   parseArgs
 }; 
\ No newline at end of file
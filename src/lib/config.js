@@ -9,6 +9,17 @@ const VERSION = packageJson.version;
 const REJECTED_FIXES_FILE = '.literal-hell-wards';
 const MAX_FILE_SIZE = 1024 * 1024; // 1MB
 
+// Process exit codes
+const EXIT_CODES = {
+  SUCCESS: 0,
+  ISSUES_FOUND: 1,
+  TOOL_ERROR: 2
+};
+
+// Kinds of fixes that can be selected with --kinds
+// template-text is text and attribute values in Vue, Svelte and Astro templates
+const FIX_KINDS = ['jsx-text', 'string-literal', 'template-text'];
+
 // HTML entity mappings
 const ESCAPES = {
   '"': '&quot;',
@@ -18,17 +29,74 @@ const ESCAPES = {
   '>': '&gt;',
 };
 
-// Global state
-let verbose = false;
-let strictMode = false;
+// Characters react/no-unescaped-entities forbids in JSX text by default, with its suggested alternatives
+const DEFAULT_FORBIDDEN_ENTITIES = {
+  '>': ['&gt;'],
+  '"': ['&quot;', '&ldquo;', '&#34;', '&rdquo;'],
+  "'": ['&apos;', '&lsquo;', '&#39;', '&rsquo;'],
+  '}': ['&#125;']
+};
+
+// Replacement tables for each entity style; characters missing from a table use the named one
+// The 'jsx' style wraps the character in a JSX expression container instead, e.g. {"'"}
+const ENTITY_STYLES = {
+  named: {
+    ...ESCAPES,
+    '}': '&#125;'
+  },
+  numeric: {
+    '"': '&#34;',
+    "'": '&#39;',
+    '&': '&#38;',
+    '<': '&#60;',
+    '>': '&#62;',
+    '}': '&#125;'
+  },
+  typographic: {
+    '"': '&ldquo;',
+    "'": '&rsquo;'
+  },
+  jsx: {}
+};
+
+// Smart quote modes: leave quotes to the entity style, or curl them as entities or Unicode characters
+const SMART_QUOTES_MODES = ['off', 'entities', 'unicode'];
+
+// Detection engines: ESLint's react/no-unescaped-entities, the Babel AST traversal, or both
+const ENGINES = ['eslint', 'ast', 'both'];
+
+// Default values for options that can be set in a config file, env vars or CLI flags
+const DEFAULT_OPTIONS = {
+  include: ['**/*'],
+  exclude: ['node_modules/**', 'dist/**', 'build/**'],
+  extensions: ['js', 'ts', 'jsx', 'tsx', 'vue', 'svelte', 'astro', 'mdx'],
+  maxFileSize: MAX_FILE_SIZE,
+  strict: false,
+  verbose: false,
+  engine: 'eslint',
+  useProjectEslint: false,
+  entityStyle: 'named',
+  smartQuotes: 'off',
+  entities: {},
+  autoSkip: {
+    cssSelectors: true,
+    cssFiles: true,
+    cssInJs: true,
+    fontFamilies: true,
+    queryParams: true
+  }
+};
 
 module.exports = {
   VERSION,
   REJECTED_FIXES_FILE,
   MAX_FILE_SIZE,
+  EXIT_CODES,
+  FIX_KINDS,
   ESCAPES,
-  verbose,
-  strictMode,
-  setVerbose: (value) => { verbose = value; },
-  setStrictMode: (value) => { strictMode = value; }
-}; 
\ No newline at end of file
+  DEFAULT_FORBIDDEN_ENTITIES,
+  ENGINES,
+  ENTITY_STYLES,
+  SMART_QUOTES_MODES,
+  DEFAULT_OPTIONS
+}; 
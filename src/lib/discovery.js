@@ -0,0 +1,97 @@
+const fs = require('fs');
+const path = require('path');
+const globby = require('globby');
+const { getChangedFiles } = require('./git');
+
+// Turn include globs into globs that only match the configured extensions
+function buildPatterns(include, extensions) {
+  const extensionGlob = extensions.length === 1 ? extensions[0] : `{${extensions.join(',')}}`;
+  
+  return include.map(pattern => {
+    // Globs ending in a wildcard are narrowed to the configured extensions
+    if (pattern.endsWith('*')) {
+      return `${pattern}.${extensionGlob}`;
+    }
+    return pattern;
+  });
+}
+
+// Split a path or glob from the command line into the directory to glob from and the include
+// glob relative to it: directories are scanned recursively, files and globs are used as they are
+function splitTarget(target, cwd = process.cwd()) {
+  const absolutePath = path.resolve(cwd, target);
+  
+  if (fs.existsSync(absolutePath)) {
+    return fs.statSync(absolutePath).isDirectory()
+      ? { root: absolutePath, pattern: '**/*' }
+      : { root: path.dirname(absolutePath), pattern: path.basename(absolutePath) };
+  }
+  
+  // A glob's root is its leading segments without any glob characters
+  const segments = target.split(/[\\/]/);
+  const firstGlob = segments.findIndex(segment => /[*?[\]{}()!]/.test(segment));
+  const staticSegments = firstGlob === -1 ? segments.slice(0, -1) : segments.slice(0, firstGlob);
+  return {
+    root: path.resolve(cwd, staticSegments.join('/') || '.'),
+    pattern: segments.slice(staticSegments.length).join('/')
+  };
+}
+
+// Check whether a directory is outside cwd
+function isOutside(directory, cwd = process.cwd()) {
+  const relative = path.relative(cwd, directory);
+  return relative.startsWith('..') || path.isAbsolute(relative);
+}
+
+// Turn paths and globs from the command line inside cwd into include globs relative to it
+function pathsToPatterns(paths, cwd = process.cwd()) {
+  return paths.map(target => {
+    const { root, pattern } = splitTarget(target, cwd);
+    // Globs use forward slashes
+    const relativeRoot = path.relative(cwd, root).split(path.sep).join('/');
+    return relativeRoot ? `${relativeRoot}/${pattern}` : pattern;
+  });
+}
+
+// Find all files to process based on the include/exclude/extensions options
+// Paths and globs given on the command line replace the include option. Ones outside cwd are
+// globbed from their own directory (globby's gitignore handling only works inside its cwd) and
+// returned as absolute paths; everything else is relative to cwd
+async function findFiles(options) {
+  const { exclude, extensions } = options;
+  const cwd = options.cwd || process.cwd();
+  // node_modules is never scanned, even when the exclude list is overridden
+  const globOptions = {
+    ignore: [...new Set(['**/node_modules/**', ...exclude])],
+    gitignore: true
+  };
+  
+  const targets = (options.paths || []).map(target => ({ target, ...splitTarget(target, cwd) }));
+  const outside = targets.filter(({ root }) => isOutside(root, cwd));
+  const inside = targets.filter(({ root }) => !isOutside(root, cwd)).map(({ target }) => target);
+  
+  const filePaths = [];
+  if (!options.paths || inside.length > 0) {
+    const include = options.paths ? pathsToPatterns(inside, cwd) : options.include;
+    filePaths.push(...await globby(buildPatterns(include, extensions), { cwd, ...globOptions }));
+  }
+  for (const { root, pattern } of outside) {
+    filePaths.push(...await globby(buildPatterns([pattern], extensions), { cwd: root, absolute: true, ...globOptions }));
+  }
+  
+  // Explicitly included files still have to have a supported extension
+  const supported = [...new Set(filePaths)].filter(filePath => extensions.includes(path.extname(filePath).slice(1)));
+  
+  // --staged, --since and --changed-lines narrow the scan to files git says were touched
+  if (options.staged || options.since || options.changedLines) {
+    const changed = new Set(getChangedFiles(options, cwd));
+    return supported.filter(filePath => changed.has(path.resolve(cwd, filePath)));
+  }
+  return supported;
+}
+
+module.exports = {
+  buildPatterns,
+  pathsToPatterns,
+  findFiles
+};
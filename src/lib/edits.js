@@ -0,0 +1,75 @@
+// Get the offset at which each line of the content starts
+function getLineOffsets(content) {
+  const offsets = [0];
+  for (let i = 0; i < content.length; i++) {
+    if (content[i] === '\n') {
+      offsets.push(i + 1);
+    }
+  }
+  return offsets;
+}
+
+// Convert a 1-based line and 0-based column to an offset into the content
+function toOffset(lineOffsets, line, column) {
+  return lineOffsets[line - 1] + column;
+}
+
+// Convert an offset into the content to a 1-based line and 0-based column
+function toLineColumn(lineOffsets, offset) {
+  let low = 0;
+  let high = lineOffsets.length - 1;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (lineOffsets[mid] <= offset) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return { line: low + 1, column: offset - lineOffsets[low] };
+}
+
+// Turn a fix into an edit replacing its exact source range
+function createEdit(fix) {
+  const [start, end] = fix.range;
+  return { start, end, original: fix.original, text: fix.escaped, fix };
+}
+
+// Apply edits to the content in a single pass
+// Edits whose source text doesn't match or that overlap an earlier edit are skipped, not applied
+// Returns { content, applied, skipped } where skipped entries carry the reason
+function applyEdits(content, edits) {
+  const sorted = [...edits].sort((a, b) => a.start - b.start || a.end - b.end);
+  const applied = [];
+  const skipped = [];
+  let result = '';
+  let position = 0;
+  
+  for (const edit of sorted) {
+    if (edit.start < position) {
+      skipped.push({ edit, reason: `overlaps another fix at offset ${edit.start}` });
+      continue;
+    }
+    
+    const found = content.substring(edit.start, edit.end);
+    if (found !== edit.original) {
+      skipped.push({ edit, reason: `expected "${edit.original}" but found "${found}"` });
+      continue;
+    }
+    
+    result += content.substring(position, edit.start) + edit.text;
+    position = edit.end;
+    applied.push(edit);
+  }
+  
+  result += content.substring(position);
+  return { content: result, applied, skipped };
+}
+
+module.exports = {
+  getLineOffsets,
+  toOffset,
+  toLineColumn,
+  createEdit,
+  applyEdits
+};
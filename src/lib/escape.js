@@ -1,10 +1,87 @@
-const { ESCAPES, strictMode } = require('./config');
+const fs = require('fs');
+const { ESCAPES, ENTITY_STYLES, DEFAULT_FORBIDDEN_ENTITIES } = require('./config');
 const { containsHtmlEntities, isSafeToEscapeInJsx } = require('./file');
 
+// Patterns that tell which style an entity suggested by ESLint belongs to
+const STYLE_PATTERNS = {
+  named: /^&(?![lr][sd]quo;)[a-z]+;$/i,
+  numeric: /^&#x?[0-9a-f]+;$/i,
+  typographic: /^&[lr][sd]quo;$/
+};
+
+// Wrap a character in a JSX expression container, e.g. ' becomes {"'"}
+function wrapInJsxExpression(char) {
+  const escapedChar = char.replace(/\\/g, '\\\\');
+  return char === "'" ? `{"${escapedChar}"}` : `{'${escapedChar}'}`;
+}
+
+// Check whether a character's alternatives are the rule's defaults rather than a configured `forbid` entry
+function isDefaultAlternatives(char, alternatives) {
+  const defaults = DEFAULT_FORBIDDEN_ENTITIES[char] || [];
+  return alternatives.length === defaults.length && alternatives.every((alt, index) => alt === defaults[index]);
+}
+
+// Get the replacement for a character, honoring the configured entity style
+// context.jsx tells whether the character is in JSX text (where {"'"} wrapping is valid)
+// context.alternatives lists the replacements the rule suggests: configured ones win over the
+// style's own entity, while the defaults are only used for characters the style doesn't cover
+function getEscapeFor(char, options = {}, context = {}) {
+  const entities = options.entities || {};
+  let style = entities[char] || options.entityStyle || 'named';
+  
+  // Per-character entries that aren't a style name are literal replacements
+  if (!ENTITY_STYLES[style]) {
+    return style;
+  }
+  
+  // JSX expressions are only valid in JSX text, so string literals get named entities
+  if (style === 'jsx') {
+    if (context.jsx) {
+      return wrapInJsxExpression(char);
+    }
+    style = 'named';
+  }
+  
+  // A configured `forbid` entry's alternatives: the style's entity if it's one of them, then one in
+  // this style, then the first
+  const alternatives = context.alternatives || [];
+  const suggested = alternatives.find(alt => STYLE_PATTERNS[style].test(alt));
+  if (alternatives.length > 0 && !isDefaultAlternatives(char, alternatives)) {
+    const entity = ENTITY_STYLES[style][char];
+    return alternatives.includes(entity) ? entity : suggested || alternatives[0];
+  }
+  
+  if (ENTITY_STYLES[style][char]) {
+    return ENTITY_STYLES[style][char];
+  }
+  
+  // Otherwise use the alternative the rule suggests in this style, if there is one
+  if (suggested || ENTITY_STYLES.named[char]) {
+    return suggested || ENTITY_STYLES.named[char];
+  }
+  
+  // Characters we have no entity for use the rule's first alternative, or a JSX expression
+  if (alternatives.length > 0) {
+    return alternatives[0];
+  }
+  return context.jsx ? wrapInJsxExpression(char) : char;
+}
+
+// Font names and the generic families and keywords that mark a list of them as a font stack
+const FONT_KEYWORDS = /\b(system-ui|-apple-system|serif|sans-serif|monospace|cursive|fantasy|Roboto|Arial|Helvetica|Segoe|font)\b/i;
+
+// Check whether a string is a CSS font-family value: every comma-separated entry a (possibly quoted)
+// name of a few words, with at least one of them a known font or generic family
+function isFontFamilyList(str) {
+  const entries = str.split(',').map(entry => entry.trim());
+  const isFontName = entry => /^(["']?)[A-Za-z-][\w -]*\1$/.test(entry) && entry.split(' ').length <= 3;
+  return FONT_KEYWORDS.test(str) && entries.every(isFontName) && (entries.length > 1 || /^[A-Za-z-]+$/.test(str));
+}
+
 // Check if a string should be excluded from escaping
-function shouldExcludeFromEscaping(str) {
+function shouldExcludeFromEscaping(str, options = {}) {
   // In strict mode, don't auto-exclude anything
-  if (strictMode) {
+  if (options.strict) {
     return false;
   }
 
@@ -32,9 +109,9 @@ function shouldExcludeFromEscaping(str) {
 }
 
 // Escape a string and return both the escaped version and the characters that were escaped
-function escapeString(str) {
+function escapeString(str, options = {}) {
   // Don't escape strings that should be excluded
-  if (shouldExcludeFromEscaping(str)) {
+  if (shouldExcludeFromEscaping(str, options)) {
     return str;
   }
 
@@ -50,7 +127,7 @@ function escapeString(str) {
     const charactersToEscape = [];
     const escaped = str.replace(/[\"']/g, c => {
       charactersToEscape.push(c);
-      return ESCAPES[c];
+      return getEscapeFor(c, options);
     });
     
     return {
@@ -63,7 +140,7 @@ function escapeString(str) {
   const charactersToEscape = [];
   const escaped = str.replace(/[\"'&<>]/g, c => {
     charactersToEscape.push(c);
-    return ESCAPES[c];
+    return getEscapeFor(c, options);
   });
   
   return {
@@ -73,7 +150,7 @@ function escapeString(str) {
 }
 
 // Check if a string is already escaped within a window of lines
-function isAlreadyEscapedInLineWindow(filePath, lineNumber, originalString) {
+function isAlreadyEscapedInLineWindow(filePath, lineNumber, originalString, options = {}) {
   try {
     // Skip if originalString doesn't have anything that needs escaping
     if (!originalString.includes("'") && !originalString.includes('"')) {
@@ -85,8 +162,9 @@ function isAlreadyEscapedInLineWindow(filePath, lineNumber, originalString) {
     const lines = fileContent.split('\n');
     
     // Get what the escaped version would look like
-    const escapedString = originalString.replace(/'/g, '&apos;')
-                                      .replace(/"/g, '&quot;');
+    const escapedApostrophe = getEscapeFor("'", options, { jsx: true });
+    const escapedString = originalString.replace(/'/g, escapedApostrophe)
+                                      .replace(/"/g, getEscapeFor('"', options, { jsx: true }));
     
     // For multiline text, make a larger window
     let windowStart = Math.max(0, lineNumber - 10 - 1); // Convert to 0-based
@@ -105,16 +183,16 @@ function isAlreadyEscapedInLineWindow(filePath, lineNumber, originalString) {
       // Count apostrophes in the original
       const apostropheCount = (originalString.match(/'/g) || []).length;
       
-      // Now check the window of lines for &apos; occurrences
+      // Now check the window of lines for escaped apostrophe occurrences
       const windowText = lines.slice(windowStart, windowEnd + 1).join('\n');
-      const aposCount = (windowText.match(/&apos;/g) || []).length;
+      const aposCount = windowText.split(escapedApostrophe).length - 1;
       
       // If we have as many or more &apos; as apostrophes in the original, 
       // plus the content is similar, it's likely already escaped
       if (aposCount >= apostropheCount) {
         // Check for similarity - strip all apostrophes from original and &apos; from window
         const strippedOriginal = originalString.replace(/'/g, '').toLowerCase();
-        const strippedWindow = windowText.replace(/&apos;/g, '').toLowerCase();
+        const strippedWindow = windowText.split(escapedApostrophe).join('').toLowerCase();
         
         // If the stripped versions have significant overlap, consider it already escaped
         if (strippedWindow.includes(strippedOriginal.substring(0, 20)) && 
@@ -132,47 +210,51 @@ function isAlreadyEscapedInLineWindow(filePath, lineNumber, originalString) {
 }
 
 // Check for auto-skip patterns
-function isAutoSkipPattern(str, filePath, line, column) {
+function isAutoSkipPattern(str, filePath, line, column, options = {}) {
   // If in strict mode, don't auto-skip anything
-  if (strictMode) {
+  if (options.strict) {
     return false;
   }
   
+  // Individual heuristics can be turned off in the config file
+  const autoSkip = options.autoSkip || {};
+  const enabled = name => autoSkip[name] !== false;
+  
   // CSS selector pattern checks - more comprehensive
   // Check for attribute selectors like &[data-hovered]
-  if (str.startsWith('&') && (str.includes(' ') || str.includes('[') || str.includes(':'))) {
+  if (enabled('cssSelectors') && str.startsWith('&') && (str.includes(' ') || str.includes('[') || str.includes(':'))) {
     return { reason: 'CSS selector pattern' };
   }
   
   // CSS rule check
-  if (filePath.endsWith('.css') || filePath.endsWith('.scss') || 
-      filePath.endsWith('.less') || filePath.endsWith('.styl')) {
+  if (enabled('cssFiles') && (filePath.endsWith('.css') || filePath.endsWith('.scss') || 
+      filePath.endsWith('.less') || filePath.endsWith('.styl'))) {
     return { reason: 'CSS file content' };
   }
   
   // Style object in JS/TS files
-  if ((str.startsWith('&') || str.includes(' &')) && 
+  if (enabled('cssInJs') && (str.startsWith('&') || str.includes(' &')) && 
       (filePath.includes('style') || filePath.includes('Style') || 
        filePath.includes('.css') || filePath.includes('.scss'))) {
     return { reason: 'Likely CSS-in-JS pattern' };
   }
   
-  // Font family declarations
-  if ((str.includes('system') || str.includes('serif') || str.includes('sans-serif') || 
-       str.includes('monospace') || str.includes('Roboto') || str.includes('Arial') ||
-       str.includes('Helvetica') || str.includes('font') || str.includes('Font')) && 
-      (str.includes(',') || str.match(/^[A-Za-z-]+$/))) {
+  // Font family declarations: a comma-separated list of font names, e.g. "'Helvetica Neue', Arial, sans-serif"
+  if (enabled('fontFamilies') && isFontFamilyList(str)) {
     return { reason: 'Font family declaration' };
   }
   
   // GraphQL/query parameter
-  if (str.includes('&') && 
+  // Needs an actual `&name=` pair, so prose like "Filter & sort" isn't mistaken for one
+  if (enabled('queryParams') && /&[\w.[\]-]+=/.test(str) && 
       (str.includes('query') || str.includes('filter') || str.includes('param'))) {
     return { reason: 'Query parameter pattern' };
   }
   
   // Enhanced CSS selector detection - broader rules
-  if (str.match(/^&[.#[]/) || str.match(/^&:/) || str.match(/^&>/) || str.includes(' & ')) {
+  // A standalone & only counts next to a selector (`.dark & .title`, `& > li`), not in prose like "Tom & Jerry"
+  if (enabled('cssSelectors') && (str.match(/^&[.#[]/) || str.match(/^&:/) || str.match(/^&>/) ||
+      /(^|\s)&\s+[.#:[>+~*]/.test(str) || /[.#:\]][\w-]*\s+&(\s|$)/.test(str))) {
     return { reason: 'CSS selector pattern (enhanced detection)' };
   }
   
@@ -180,6 +262,8 @@ function isAutoSkipPattern(str, filePath, line, column) {
 }
 
 module.exports = {
+  getEscapeFor,
+  wrapInJsxExpression,
   shouldExcludeFromEscaping,
   escapeString,
   isAlreadyEscapedInLineWindow,
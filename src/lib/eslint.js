@@ -1,139 +1,278 @@
 const { ESLint } = require('eslint');
+const fs = require('fs');
 const chalk = require('chalk');
 const path = require('path');
 const { log } = require('./logger');
+const { DEFAULT_FORBIDDEN_ENTITIES } = require('./config');
+const { getEscapeFor } = require('./escape');
+const { getTextSegment, getSmartQuote } = require('./typography');
+const { getLineOffsets, toOffset } = require('./edits');
+const { parseFile } = require('./ast');
+const { getSuppressions, isSuppressed } = require('./suppressions');
 
-// Initialize ESLint once
-let eslintInstance = null;
+// Load the project's own ESLint package if it has one, so its config format and plugins match
+function loadProjectESLintModule(cwd) {
+  try {
+    return require(require.resolve('eslint', { paths: [cwd] }));
+  } catch (error) {
+    return require('eslint');
+  }
+}
 
-// Initialize ESLint if not already done
-async function initESLint() {
-  if (!eslintInstance) {
-    log('Initializing ESLint with Vercel Next.js rules...', 'info');
-    try {
-      // Get the path to literal-hell's node_modules
-      const literalHellRoot = path.resolve(__dirname, '..', '..');
-      
-      eslintInstance = new ESLint({
-        useEslintrc: false,  // Ignore project's .eslintrc completely
-        cache: true,        // Enable caching
-        cacheLocation: '.eslintcache',  // Cache file location
-        resolvePluginsRelativeTo: literalHellRoot,  // Look for plugins in literal-hell's node_modules
-        overrideConfig: {
-          extends: ['next/core-web-vitals'],  // Use Vercel's Next.js ESLint config
-          parser: '@typescript-eslint/parser',
-          plugins: ['@typescript-eslint'],
-          parserOptions: {
-            ecmaVersion: 2020,
-            sourceType: 'module',
-            ecmaFeatures: {
-              jsx: true
-            }
-          }
+// Create an ESLint instance that uses the project's .eslintrc or flat config
+// cache writes .eslintcache into cwd, which the CLI wants and the library API must not do
+async function createProjectESLint(cwd, cache = true) {
+  const eslintModule = loadProjectESLintModule(cwd);
+  const eslintOptions = {
+    cwd,
+    cache,
+    cacheLocation: '.eslintcache'
+  };
+  
+  // loadESLint (ESLint 8.57+) picks the flat or legacy config class the same way the eslint CLI does
+  if (eslintModule.loadESLint) {
+    const ProjectESLint = await eslintModule.loadESLint({ cwd });
+    return new ProjectESLint(eslintOptions);
+  }
+  return new eslintModule.ESLint(eslintOptions);
+}
+
+// Create an ESLint instance that ignores the project's config and uses Vercel's Next.js rules
+function createNextESLint(cwd, cache = true) {
+  // Get the path to literal-hell's node_modules
+  const literalHellRoot = path.resolve(__dirname, '..', '..');
+  
+  return new ESLint({
+    cwd,
+    useEslintrc: false,  // Ignore project's .eslintrc completely
+    cache,              // Enable caching, except for the library API
+    cacheLocation: '.eslintcache',  // Cache file location
+    resolvePluginsRelativeTo: literalHellRoot,  // Look for plugins in literal-hell's node_modules
+    overrideConfig: {
+      extends: ['next/core-web-vitals'],  // Use Vercel's Next.js ESLint config
+      parser: '@typescript-eslint/parser',
+      plugins: ['@typescript-eslint'],
+      parserOptions: {
+        ecmaVersion: 2020,
+        sourceType: 'module',
+        ecmaFeatures: {
+          jsx: true
         }
-      });
-      log('ESLint initialized with Vercel Next.js rules', 'success');
+      }
+    }
+  });
+}
+
+// Create the ESLint instance for a run
+// Callers keep it as options.eslint so every lint in the run shares one instance (and its config cache)
+// options.api turns off ESLint's .eslintcache file, since the library API never writes files
+async function initESLint(options = {}) {
+  const description = options.useProjectEslint ? "the project's ESLint configuration" : 'Vercel Next.js rules';
+  log(`Initializing ESLint with ${description}...`, 'info');
+  try {
+    const eslint = options.useProjectEslint
+      ? await createProjectESLint(options.cwd || process.cwd(), !options.api)
+      : createNextESLint(options.cwd || process.cwd(), !options.api);
+    log(`ESLint initialized with ${description}`, 'success');
+    return eslint;
+  } catch (error) {
+    log(`Failed to initialize ESLint: ${error.message}`, 'error');
+    throw error;
+  }
+}
+
+// Get the react/no-unescaped-entities setting that applies to a file
+async function getRuleSetting(eslint, filePath) {
+  const config = await eslint.calculateConfigForFile(filePath);
+  return config && config.rules ? config.rules['react/no-unescaped-entities'] : undefined;
+}
+
+// Check whether the project's config enables react/no-unescaped-entities for a file
+async function isRuleEnabled(eslint, filePath) {
+  const setting = await getRuleSetting(eslint, filePath);
+  const severity = Array.isArray(setting) ? setting[0] : setting;
+  return severity !== undefined && severity !== 0 && severity !== 'off';
+}
+
+// Get the characters the rule forbids for a file, mapped to their alternatives
+// String entries in the rule's `forbid` option have no alternatives
+async function getForbiddenEntities(eslint, filePath) {
+  const setting = await getRuleSetting(eslint, filePath);
+  const ruleOptions = Array.isArray(setting) && setting[1] ? setting[1] : {};
+  if (!ruleOptions.forbid) {
+    return DEFAULT_FORBIDDEN_ENTITIES;
+  }
+  
+  return Object.fromEntries(ruleOptions.forbid.map(entry => (
+    typeof entry === 'string' ? [entry, []] : [entry.char, entry.alternatives || []]
+  )));
+}
+
+// Read the alternatives listed in a rule message: "`'` can be escaped with `&apos;`, `&lsquo;`."
+function parseAlternatives(message) {
+  const alternativesText = message.split(' can be escaped with ')[1];
+  if (!alternativesText) {
+    return [];
+  }
+  return alternativesText.replace(/\.$/, '').split(', ').map(alt => alt.replace(/^`|`$/g, ''));
+}
+
+// Lint each file's text as read by readContent, for content that isn't on disk (e.g. staged in git)
+async function lintContents(eslint, filePaths, readContent) {
+  const results = [];
+  for (const filePath of filePaths) {
+    let fileContent;
+    try {
+      fileContent = readContent(filePath);
     } catch (error) {
-      log(`Failed to initialize ESLint: ${error.message}`, 'error');
-      throw error;
+      log(`Error reading file ${filePath}: ${error.message}`, 'error');
+      continue;
     }
+    results.push(...await eslint.lintText(fileContent, { filePath }));
   }
-  return eslintInstance;
+  return results;
 }
 
-// Run ESLint on multiple files and get escape errors
-async function runESLintForEscapeErrors(filePaths, verbose = false) {
+// Run ESLint on multiple files and get escape errors, plus the files ESLint couldn't parse
+// With options.staged or options.stdin, the content from readContent is linted instead of the files on disk
+async function runESLintForEscapeErrors(filePaths, options = {}, readContent = filePath => fs.readFileSync(filePath, 'utf8')) {
+  const { verbose } = options;
   try {
-    const eslint = await initESLint();
+    const eslint = options.eslint || await initESLint(options);
+    
+    // The project's own config might not report unescaped entities at all
+    if (options.useProjectEslint && filePaths.length > 0 && !(await isRuleEnabled(eslint, filePaths[0]))) {
+      log(`react/no-unescaped-entities is not enabled in the project's ESLint config for ${filePaths[0]}`, 'warning');
+    }
     
     log(`Running ESLint on ${filePaths.length} files...`, 'info');
     
     // Run ESLint on all files at once
-    const results = await eslint.lintFiles(filePaths);
+    const results = options.staged || options.stdin
+      ? await lintContents(eslint, filePaths, readContent)
+      : await eslint.lintFiles(filePaths);
     
     // Filter for only escape-related errors
     const escapeErrors = [];
+    const failedFiles = [];
     for (const fileResult of results) {
       if (verbose) {
         log(`Processing ${fileResult.filePath}...`, 'info');
       }
-      for (const message of fileResult.messages) {
-        if (message.ruleId === 'react/no-unescaped-entities') {
-          // The message format is like: "`'` can be escaped with `&apos;`, `&lsquo;`, `&#39;`, `&rsquo;`."
-          const entity = message.message.split('`')[1]; // Get the character between first backticks
-          if (entity) {
-            escapeErrors.push({
-              filePath: fileResult.filePath,
-              line: message.line,
-              column: message.column,
-              entity,
-              message: message.message,
-              source: message.source
-            });
-            if (verbose) {
-              log(`Found unescaped entity "${entity}" in ${fileResult.filePath}:${message.line}:${message.column}`, 'info');
-            }
-          }
+      
+      // Parse errors mean ESLint couldn't check the file (e.g. a missing custom parser), so it
+      // fails like a file that can't be read instead of passing as clean
+      const fatal = fileResult.messages.find(message => message.fatal);
+      if (fatal) {
+        log(`ESLint could not parse ${fileResult.filePath}: ${fatal.message}`, 'error');
+        failedFiles.push(fileResult.filePath);
+        continue;
+      }
+      
+      const ruleMessages = fileResult.messages.filter(message => message.ruleId === 'react/no-unescaped-entities');
+      if (ruleMessages.length === 0) {
+        continue;
+      }
+      
+      // The rule reports one character at a time, so read it from the source rather than the
+      // message (which can't be split on backticks when the character is a backtick)
+      const sourceLines = (fileResult.source || readContent(fileResult.filePath)).split('\n');
+      const forbidden = await getForbiddenEntities(eslint, fileResult.filePath);
+      
+      for (const message of ruleMessages) {
+        const entity = (sourceLines[message.line - 1] || '')[message.column - 1];
+        if (!entity) {
+          continue;
+        }
+        
+        escapeErrors.push({
+          filePath: fileResult.filePath,
+          line: message.line,
+          column: message.column,
+          entity,
+          alternatives: forbidden[entity] || parseAlternatives(message.message),
+          message: message.message,
+          source: message.source
+        });
+        if (verbose) {
+          log(`Found unescaped entity "${entity}" in ${fileResult.filePath}:${message.line}:${message.column}`, 'info');
         }
       }
     }
     
     log(`ESLint found ${escapeErrors.length} unescaped entities across ${results.length} files`, 'info');
-    return escapeErrors;
+    return { escapeErrors, failedFiles };
   } catch (error) {
-    // If ESLint fails (e.g., not installed), return empty array
+    // Let callers decide how to handle a failed run (e.g., ESLint not installed)
     log(`ESLint check failed: ${error.message}`, 'error');
     if (verbose) {
       console.error(error);
     }
-    return [];
+    throw error;
+  }
+}
+
+// Parse a file to find its suppression comments, but only if it mentions literal-hell at all
+function parseForSuppressions(fileContent) {
+  if (!fileContent.includes('literal-hell-')) {
+    return null;
+  }
+  try {
+    return parseFile(fileContent);
+  } catch (error) {
+    return null;
   }
 }
 
 // Convert ESLint errors to our internal fix format
-function convertEslintErrorsToFixes(escapeErrors, fileContent) {
+function convertEslintErrorsToFixes(escapeErrors, fileContent, options = {}) {
   const fixes = [];
   const lines = fileContent.split('\n');
+  const lineOffsets = getLineOffsets(fileContent);
   
   for (const error of escapeErrors) {
-    const { line, column, entity } = error;
+    const { line, column, entity, alternatives } = error;
     const lineContent = lines[line - 1] || '';
     
-    // Get the actual content that needs escaping
-    const original = lineContent.substring(column - 1, column + entity.length - 1);
-    
-    // Skip if already escaped
-    if (containsHtmlEntities(original)) {
+    // Get the actual character that needs escaping, skipping errors that no longer match the file
+    const original = lineContent.substring(column - 1, column);
+    if (original !== entity) {
       continue;
     }
     
-    // Create escaped version
-    const escaped = original.replace(/['"]/g, c => c === "'" ? '&apos;' : '&quot;');
+    // ESLint columns are 1-based
+    const start = toOffset(lineOffsets, line, column - 1);
+    
+    // Create escaped version; smart quotes look at the surrounding JSX text to pick a curly form
+    const segment = getTextSegment(fileContent, start);
+    let escaped;
+    if ((original === "'" || original === '"') && options.smartQuotes && options.smartQuotes !== 'off') {
+      escaped = getSmartQuote(segment.text, segment.index, options.smartQuotes);
+    } else {
+      escaped = getEscapeFor(original, options, { jsx: true, alternatives });
+    }
     
     fixes.push({
       type: 'fix',
       original,
       escaped,
-      escapedChars: [...new Set(original.match(/['"]/g) || [])],
+      escapedChars: [original],
       loc: {
         start: { line, column },
-        end: { line, column: column + entity.length }
+        end: { line, column: column + 1 }
       },
+      range: [start, start + original.length],
       isJsx: true,
+      kind: 'jsx-text',
+      // The JSX text the character is in, which the auto-skip heuristics look at
+      context: segment.text.trim(),
       rawValue: original
     });
   }
   
-  return fixes;
-}
-
-// Helper function to check if a string contains HTML entities
-function containsHtmlEntities(str) {
-  const entityRegex = /&(quot|apos|amp|lt|gt);/g;
-  const doubleEscapedRegex = /&amp;(quot|apos|lt|gt);/g;
-  const numericEntityRegex = /&#(\d+);/g;
-  
-  return entityRegex.test(str) || doubleEscapedRegex.test(str) || numericEntityRegex.test(str);
+  // Leave out anything covered by a literal-hell-ignore/disable comment
+  const suppressions = getSuppressions(fileContent, parseForSuppressions(fileContent));
+  return fixes.filter(fix => !isSuppressed(suppressions, fix));
 }
 
 module.exports = {
@@ -3,9 +3,9 @@ const path = require('path');
 
 // Check if a string contains HTML entities
 function containsHtmlEntities(str) {
-  const entityRegex = /&(quot|apos|amp|lt|gt);/g;
-  const doubleEscapedRegex = /&amp;(quot|apos|lt|gt);/g;
-  const numericEntityRegex = /&#(\d+);/g;
+  const entityRegex = /&(quot|apos|amp|lt|gt|[lr][sd]quo);/g;
+  const doubleEscapedRegex = /&amp;(quot|apos|lt|gt|[lr][sd]quo);/g;
+  const numericEntityRegex = /&#(\d+|x[0-9a-f]+);/gi;
   
   return entityRegex.test(str) || doubleEscapedRegex.test(str) || numericEntityRegex.test(str);
 }
@@ -0,0 +1,141 @@
+const crypto = require('crypto');
+const traverse = require('@babel/traverse').default;
+const { parseFile } = require('./ast');
+const { isComponentFile } = require('./sfc');
+
+// How similar two contexts must be for a ward to follow its text to a new location
+const RELOCATION_THRESHOLD = 0.8;
+
+// Collapse whitespace so reformatting doesn't change a fingerprint
+function normalizeContext(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+// Get a readable name for a function, class or method node, if it has one
+function getScopeName(path) {
+  const { node, parent } = path;
+  if (node.id && node.id.name) {
+    return node.id.name;
+  }
+  if (node.key && (node.key.name || node.key.value)) {
+    return node.key.name || node.key.value;
+  }
+  // const Component = () => ...
+  if (parent && parent.type === 'VariableDeclarator' && parent.id.name) {
+    return parent.id.name;
+  }
+  return null;
+}
+
+// Get the name of a JSX element, e.g. div, Foo.Bar
+function getElementName(name) {
+  if (name.type === 'JSXMemberExpression') {
+    return `${getElementName(name.object)}.${name.property.name}`;
+  }
+  if (name.type === 'JSXNamespacedName') {
+    return `${name.namespace.name}:${name.name.name}`;
+  }
+  return name.name;
+}
+
+// Find the enclosing functions/classes and JSX elements around an offset
+// Returns { scope, jsxPath } like { scope: 'App>renderFooter', jsxPath: 'footer>p' }
+function getEnclosingNames(ast, offset) {
+  const scopes = [];
+  const elements = [];
+  
+  traverse(ast, {
+    enter(path) {
+      const { node } = path;
+      if (node.start > offset || node.end <= offset) {
+        path.skip();
+        return;
+      }
+      if (path.isFunction() || path.isClass()) {
+        const name = getScopeName(path);
+        if (name) {
+          scopes.push(name);
+        }
+      }
+      if (path.isJSXElement()) {
+        elements.push(getElementName(node.openingElement.name));
+      }
+    }
+  });
+  
+  return { scope: scopes.join('>'), jsxPath: elements.join('>') };
+}
+
+// Add a content fingerprint to each fix: where it is (scope and JSX path), the normalized text
+// around it, and which occurrence of the same text it is - but not its line or column
+// Vue, Svelte and Astro components and MDX files aren't JS, so their fingerprints have no scope or JSX path
+function addFingerprints(fileContent, fixes, filePath = null) {
+  const lines = fileContent.split('\n');
+  let ast = null;
+  try {
+    ast = isComponentFile(filePath) ? null : parseFile(fileContent);
+  } catch (error) {
+    // Files Babel can't parse still get fingerprints, just without scope and JSX path
+  }
+  
+  const occurrences = {};
+  const sorted = [...fixes].sort((a, b) => (a.range ? a.range[0] : 0) - (b.range ? b.range[0] : 0));
+  for (const fix of sorted) {
+    const { scope, jsxPath } = ast && fix.range ? getEnclosingNames(ast, fix.range[0]) : { scope: '', jsxPath: '' };
+    const context = normalizeContext(lines[fix.loc.start.line - 1] || '');
+    
+    // Number repeated identical fixes so each one can be warded on its own
+    const id = [scope, jsxPath, context, fix.original].join('\0');
+    occurrences[id] = (occurrences[id] || 0) + 1;
+    
+    fix.fingerprint = { scope, jsxPath, context, occurrence: occurrences[id] };
+  }
+  
+  return fixes;
+}
+
+// Hash a fingerprint and the fixed text into a short, stable id
+function hashFingerprint(fingerprint, original) {
+  const { scope, jsxPath, context, occurrence } = fingerprint;
+  return crypto.createHash('sha1')
+    .update([scope, jsxPath, context, occurrence, original].join('\0'))
+    .digest('hex')
+    .substring(0, 16);
+}
+
+// Get the set of character pairs in a string
+function getBigrams(text) {
+  const bigrams = new Map();
+  for (let i = 0; i < text.length - 1; i++) {
+    const bigram = text.substring(i, i + 2);
+    bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1);
+  }
+  return bigrams;
+}
+
+// Score how similar two contexts are, from 0 (nothing shared) to 1 (identical)
+function contextSimilarity(a, b) {
+  if (a === b) {
+    return 1;
+  }
+  if (a.length < 2 || b.length < 2) {
+    return 0;
+  }
+  
+  const bigramsA = getBigrams(a);
+  const bigramsB = getBigrams(b);
+  let shared = 0;
+  for (const [bigram, count] of bigramsA) {
+    shared += Math.min(count, bigramsB.get(bigram) || 0);
+  }
+  return (2 * shared) / (a.length + b.length - 2);
+}
+
+module.exports = {
+  RELOCATION_THRESHOLD,
+  normalizeContext,
+  getEnclosingNames,
+  addFingerprints,
+  hashFingerprint,
+  contextSimilarity
+};
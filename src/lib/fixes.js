@@ -1,74 +1,199 @@
 const fs = require('fs');
+const path = require('path');
 const { REJECTED_FIXES_FILE } = require('./config');
 const { log } = require('./logger');
+const { RELOCATION_THRESHOLD, hashFingerprint, contextSimilarity } = require('./fingerprint');
 
-// Store rejected fixes in memory
-let rejectedFixes = {};
-// Track file modification times
-let fileModTimes = {};
-
-// Create a unique key for a fix
-function createFixKey(filePath, line, column, original) {
-  return `${filePath}:${line}:${column}:${original}`;
+// Wards are keyed by paths relative to the project, so the wards file works in any checkout
+function toRelativePath(filePath, cwd = process.cwd()) {
+  return path.relative(cwd, path.resolve(cwd, filePath)).split(path.sep).join('/');
 }
 
-// Load previously rejected fixes if they exist
-function loadRejectedFixes() {
-  try {
-    if (fs.existsSync(REJECTED_FIXES_FILE)) {
-      rejectedFixes = JSON.parse(fs.readFileSync(REJECTED_FIXES_FILE, 'utf8'));
-      log(`Loaded ${Object.keys(rejectedFixes).length} previously rejected fixes`, 'info');
-    }
-  } catch (error) {
-    log(`Error loading rejected fixes: ${error.message}`, 'error');
-    rejectedFixes = {};
-  }
+// Create a unique key for a fix from the file and the fix's content fingerprint, so wards
+// survive lines being added or removed above them
+function createFixKey(filePath, fix, cwd = process.cwd()) {
+  return `${toRelativePath(filePath, cwd)}#${hashFingerprint(fix.fingerprint, fix.original)}`;
 }
 
-// Save rejected fixes to file
-function saveRejectedFixes() {
-  try {
-    fs.writeFileSync(REJECTED_FIXES_FILE, JSON.stringify(rejectedFixes, null, 2));
-  } catch (error) {
-    log(`Error saving rejected fixes: ${error.message}`, 'error');
+// Find the stale ward that best matches a fix that no ward matches exactly
+// Legacy wards (from before fingerprints) only match at their recorded line and column;
+// fingerprinted wards need the same scope and JSX path and a similar enough context
+function findRelocatedWard(entries, staleKeys, fix) {
+  const { line, column } = fix.loc.start;
+  let bestKey = null;
+  let bestScore = RELOCATION_THRESHOLD;
+  
+  for (const key of staleKeys) {
+    const entry = entries[key];
+    if (!entry || entry.original !== fix.original) {
+      continue;
+    }
+    
+    // Legacy wards only have a position to go on
+    if (!entry.fingerprint) {
+      if (entry.line === line && entry.column === column) {
+        return key;
+      }
+      continue;
+    }
+    
+    const { scope, jsxPath, context } = entry.fingerprint;
+    if (scope !== fix.fingerprint.scope || jsxPath !== fix.fingerprint.jsxPath) {
+      continue;
+    }
+    const score = contextSimilarity(context, fix.fingerprint.context);
+    if (score >= bestScore) {
+      bestKey = key;
+      bestScore = score;
+    }
   }
+  
+  return bestKey;
 }
 
-// Clear rejection history
-function clearRejectionHistory() {
-  if (fs.existsSync(REJECTED_FIXES_FILE)) {
-    fs.unlinkSync(REJECTED_FIXES_FILE);
-  }
-  rejectedFixes = {};
-  log('Cleared fix rejection history', 'info');
-}
+// Create a store for a project's wards (rejected fixes), kept in its .literal-hell-wards file
+// Each run or API call gets its own store, so nothing is shared between them
+function createWardStore({ cwd = process.cwd(), file = REJECTED_FIXES_FILE } = {}) {
+  const wardsFile = path.resolve(cwd, file);
+  let entries = {};
+  // Keys of legacy wards already reported as impossible to migrate
+  const unmigratable = new Set();
 
-// Add a fix to rejected fixes
-function addRejectedFix(filePath, line, column, original, reason = null) {
-  const fixKey = createFixKey(filePath, line, column, original);
-  rejectedFixes[fixKey] = {
-    filePath,
-    line,
-    column,
-    original,
-    timestamp: new Date().toISOString(),
-    ...(reason && { reason })
+  const store = {
+    // The project directory ward paths are relative to
+    cwd,
+    
+    // Load previously rejected fixes if they exist
+    load() {
+      try {
+        if (fs.existsSync(wardsFile)) {
+          entries = JSON.parse(fs.readFileSync(wardsFile, 'utf8'));
+          log(`Loaded ${Object.keys(entries).length} previously rejected fixes`, 'info');
+        }
+      } catch (error) {
+        log(`Error loading rejected fixes: ${error.message}`, 'error');
+        entries = {};
+      }
+      return store;
+    },
+    
+    // Save rejected fixes to file
+    save() {
+      try {
+        fs.writeFileSync(wardsFile, JSON.stringify(entries, null, 2));
+      } catch (error) {
+        log(`Error saving rejected fixes: ${error.message}`, 'error');
+      }
+    },
+    
+    // Clear rejection history
+    clear() {
+      if (fs.existsSync(wardsFile)) {
+        fs.unlinkSync(wardsFile);
+      }
+      entries = {};
+      log('Cleared fix rejection history', 'info');
+    },
+    
+    // Get the key a fix is warded under
+    createKey(filePath, fix) {
+      return createFixKey(filePath, fix, cwd);
+    },
+    
+    // Add a fix to rejected fixes
+    add(filePath, fix, reason = null) {
+      const { line, column } = fix.loc.start;
+      entries[store.createKey(filePath, fix)] = {
+        filePath: toRelativePath(filePath, cwd),
+        line,
+        column,
+        original: fix.original,
+        fingerprint: fix.fingerprint,
+        timestamp: new Date().toISOString(),
+        ...(reason && { reason })
+      };
+    },
+    
+    // Get every ward, keyed by fix key
+    getAll() {
+      return entries;
+    },
+    
+    // Remove a single ward
+    remove(fixKey) {
+      delete entries[fixKey];
+    },
+    
+    // Check if a fix has been rejected
+    isRejected(filePath, fix) {
+      return !!entries[store.createKey(filePath, fix)];
+    },
+    
+    // Match wards whose fingerprint no longer matches exactly to the fixes they now belong to,
+    // re-keying them under the fix's current fingerprint and location
+    // Legacy wards that can't be matched are reported rather than silently left behind
+    // Returns the number of wards that were relocated or migrated
+    relocate(filePath, fixes) {
+      const relativePath = toRelativePath(filePath, cwd);
+      const unmatched = fixes.filter(fix => !store.isRejected(filePath, fix));
+      
+      // Wards for this file that no current fix matches exactly
+      const currentKeys = new Set(fixes.map(fix => store.createKey(filePath, fix)));
+      const staleKeys = Object.keys(entries).filter(key => (
+        toRelativePath(entries[key].filePath, cwd) === relativePath && !currentKeys.has(key)
+      ));
+      
+      const claimed = new Set();
+      const moveWard = (key, fix) => {
+        const entry = entries[key];
+        delete entries[key];
+        entries[store.createKey(filePath, fix)] = {
+          ...entry,
+          filePath: relativePath,
+          line: fix.loc.start.line,
+          column: fix.loc.start.column,
+          fingerprint: fix.fingerprint
+        };
+        staleKeys.splice(staleKeys.indexOf(key), 1);
+        claimed.add(fix);
+      };
+      
+      let relocated = 0;
+      for (const fix of unmatched) {
+        const key = findRelocatedWard(entries, staleKeys, fix);
+        if (key) {
+          moveWard(key, fix);
+          relocated++;
+        }
+      }
+      
+      // A legacy ward whose line moved has only its text and column to go on, so it only follows
+      // them when a single unclaimed fix matches both
+      for (const key of staleKeys.filter(staleKey => !entries[staleKey].fingerprint)) {
+        const entry = entries[key];
+        const candidates = unmatched.filter(fix => (
+          !claimed.has(fix) && fix.original === entry.original && fix.loc.start.column === entry.column
+        ));
+        if (candidates.length === 1) {
+          moveWard(key, candidates[0]);
+          relocated++;
+        } else if (!unmigratable.has(key)) {
+          // Editors and bundlers relocate on every check, so each ward is only reported once
+          unmigratable.add(key);
+          log(`Could not migrate the old ward for "${entry.original}" at ${entry.filePath}:${entry.line}:${entry.column}: ` +
+            'reject the fix again, or remove the ward with `literal-hell wards remove`', 'warning');
+        }
+      }
+      
+      return relocated;
+    }
   };
-}
 
-// Check if a fix has been rejected
-function isFixRejected(filePath, line, column, original) {
-  const fixKey = createFixKey(filePath, line, column, original);
-  return !!rejectedFixes[fixKey];
+  return store;
 }
 
 module.exports = {
-  rejectedFixes,
-  fileModTimes,
+  toRelativePath,
   createFixKey,
-  loadRejectedFixes,
-  saveRejectedFixes,
-  clearRejectionHistory,
-  addRejectedFix,
-  isFixRejected
-}; 
\ No newline at end of file
+  createWardStore
+}; 
@@ -0,0 +1,152 @@
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+// Run a git command and return its output, throwing a readable error if it fails
+function runGit(args, cwd = process.cwd(), input = null) {
+  try {
+    return execFileSync('git', ['-c', 'core.quotePath=false', ...args], {
+      cwd,
+      encoding: 'utf8',
+      maxBuffer: 64 * 1024 * 1024,
+      input: input === null ? undefined : input,
+      stdio: [input === null ? 'ignore' : 'pipe', 'pipe', 'pipe']
+    });
+  } catch (error) {
+    const stderr = error.stderr ? error.stderr.toString().trim() : error.message;
+    throw new Error(`git ${args[0]} failed: ${stderr}`);
+  }
+}
+
+// Get the root of the repository, since git reports paths relative to it
+function getRepoRoot(cwd = process.cwd()) {
+  return runGit(['rev-parse', '--show-toplevel'], cwd).trim();
+}
+
+// Get the diff arguments for the changes to scan:
+//   --staged       the index against HEAD
+//   --since <ref>  the working tree against the point where it branched off <ref>
+//   otherwise      the working tree against HEAD
+function getDiffBase(options, cwd = process.cwd()) {
+  if (options.staged) {
+    return ['--cached'];
+  }
+  if (options.since) {
+    return [runGit(['merge-base', options.since, 'HEAD'], cwd).trim()];
+  }
+  return ['HEAD'];
+}
+
+// Get new files git doesn't track yet, which count as changed everywhere but in --staged
+function getUntrackedFiles(options, root) {
+  if (options.staged) {
+    return [];
+  }
+  return runGit(['ls-files', '--others', '--exclude-standard', '-z'], root).split('\0').filter(Boolean);
+}
+
+// Get the absolute paths of files that were added, copied, modified or renamed
+function getChangedFiles(options = {}, cwd = process.cwd()) {
+  const root = getRepoRoot(cwd);
+  const diffBase = getDiffBase(options, cwd);
+  const changed = runGit(['diff', '--name-only', '-z', '--diff-filter=ACMR', ...diffBase], root)
+    .split('\0')
+    .filter(Boolean);
+  
+  return [...new Set([...changed, ...getUntrackedFiles(options, root)])]
+    .map(filePath => path.resolve(root, filePath));
+}
+
+// Parse the hunks of a zero-context diff into the line ranges they add or change in each file
+// `@@ -12,3 +14,2 @@` means lines 14-15 of the new file; a count of 0 is a pure deletion
+function parseDiffHunks(diffText, root) {
+  const rangesByFile = {};
+  let ranges = null;
+  
+  for (const line of diffText.split('\n')) {
+    if (line.startsWith('+++ ')) {
+      const target = line.substring(4);
+      ranges = target === '/dev/null' ? null : [];
+      if (ranges) {
+        rangesByFile[path.resolve(root, target.replace(/^b\//, ''))] = ranges;
+      }
+      continue;
+    }
+    
+    const hunk = ranges && line.match(/^@@ -\d+(?:,\d+)? \+(\d+)(?:,(\d+))? @@/);
+    if (hunk) {
+      const start = Number(hunk[1]);
+      const count = hunk[2] === undefined ? 1 : Number(hunk[2]);
+      if (count > 0) {
+        ranges.push([start, start + count - 1]);
+      }
+    }
+  }
+  
+  return rangesByFile;
+}
+
+// Get the changed line ranges of every changed file; untracked files are changed throughout
+function getChangedLines(options = {}, cwd = process.cwd()) {
+  const root = getRepoRoot(cwd);
+  const diffBase = getDiffBase(options, cwd);
+  // Explicit prefixes, so diff.noprefix or diff.mnemonicPrefix can't change the `+++ b/` paths we parse
+  const diffText = runGit([
+    'diff', '-U0', '--no-color', '--no-ext-diff', '--src-prefix=a/', '--dst-prefix=b/', '--diff-filter=ACMR', ...diffBase
+  ], root);
+  const rangesByFile = parseDiffHunks(diffText, root);
+  
+  for (const filePath of getUntrackedFiles(options, root)) {
+    rangesByFile[path.resolve(root, filePath)] = [[1, Infinity]];
+  }
+  
+  return rangesByFile;
+}
+
+// Check whether any line from startLine to endLine was changed
+function isInChangedLines(rangesByFile, filePath, startLine, endLine = startLine) {
+  const ranges = rangesByFile[path.resolve(filePath)] || [];
+  return ranges.some(([start, end]) => startLine <= end && endLine >= start);
+}
+
+// Get the path git uses for a directory inside .git, e.g. hooks (respecting core.hooksPath)
+function getGitPath(name, cwd = process.cwd()) {
+  return path.resolve(cwd, runGit(['rev-parse', '--git-path', name], cwd).trim());
+}
+
+// Read a file's staged content from the index rather than the working tree
+// Paths are given relative to the file's own directory so this works from anywhere in the repository
+function readStagedFile(filePath) {
+  const absolutePath = path.resolve(filePath);
+  return runGit(['show', `:./${path.basename(absolutePath)}`], path.dirname(absolutePath));
+}
+
+// Replace a file's staged content in the index, leaving the working tree alone
+// update-index reads --cacheinfo paths relative to the repository root whatever the cwd,
+// so every path here is root-relative and git runs from the root
+function writeStagedFile(filePath, content) {
+  const absolutePath = path.resolve(filePath);
+  const cwd = path.dirname(absolutePath);
+  const root = getRepoRoot(cwd);
+  const prefix = runGit(['rev-parse', '--show-prefix'], cwd).trim();
+  const name = `${prefix}${path.basename(absolutePath)}`;
+  
+  // Keep the staged file's mode (e.g. executable) and only swap its blob
+  const [mode] = runGit(['ls-files', '--stage', '--', name], root).split(' ');
+  if (!mode) {
+    throw new Error(`${filePath} is not staged`);
+  }
+  const blob = runGit(['hash-object', '-w', '--stdin', '--path', name], root, content).trim();
+  runGit(['update-index', '--cacheinfo', `${mode},${blob},${name}`], root);
+}
+
+module.exports = {
+  runGit,
+  getGitPath,
+  readStagedFile,
+  writeStagedFile,
+  getRepoRoot,
+  getChangedFiles,
+  parseDiffHunks,
+  getChangedLines,
+  isInChangedLines
+};
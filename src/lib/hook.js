@@ -0,0 +1,104 @@
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const { EXIT_CODES } = require('./config');
+const { log } = require('./logger');
+const { getGitPath } = require('./git');
+
+// Markers around the lines we add, so reinstalling replaces them instead of adding them twice
+const HOOK_START = '# >>> literal-hell >>>';
+const HOOK_END = '# <<< literal-hell <<<';
+
+// Display help text for the install-hook command
+function showInstallHookHelp() {
+  console.log(chalk.bold('\nliteral-hell install-hook: run literal-hell before every commit\n'));
+  console.log('Usage:');
+  console.log('  literal-hell install-hook [--fix] [--force] [-- <literal-hell options>]\n');
+  
+  console.log('Options:');
+  console.log('  --fix                  Escape staged files and re-stage them instead of blocking the commit');
+  console.log('  --force                Replace an existing pre-commit hook instead of adding to it');
+  console.log('  -- <options>           Extra options for the hook to pass to literal-hell (e.g. -- --engine ast)\n');
+}
+
+// Quote an argument for the hook's shell script
+function quoteShellArg(arg) {
+  return /^[\w@%+=:,./-]+$/.test(arg) ? arg : `'${arg.replace(/'/g, "'\\''")}'`;
+}
+
+// Create the lines the hook runs, between the markers
+// Staged files are checked (blocking the commit) or fixed in the index and working copy (--fix)
+function createHookBlock({ fix = false, extraArgs = [] } = {}) {
+  const args = ['--staged', ...(fix ? ['--yes'] : ['--check']), ...extraArgs].map(quoteShellArg).join(' ');
+  return [
+    HOOK_START,
+    '# Installed by `literal-hell install-hook`; reinstalling replaces these lines',
+    'if [ -x node_modules/.bin/literal-hell ]; then',
+    `  node_modules/.bin/literal-hell ${args} || exit $?`,
+    'else',
+    `  literal-hell ${args} || exit $?`,
+    'fi',
+    HOOK_END
+  ].join('\n');
+}
+
+// Add our lines to a hook script, replacing any previously installed ones
+function addHookBlock(existing, block) {
+  const start = existing.indexOf(HOOK_START);
+  const end = existing.indexOf(HOOK_END);
+  if (start !== -1 && end > start) {
+    return `${existing.substring(0, start)}${block}${existing.substring(end + HOOK_END.length)}`;
+  }
+  return `${existing.replace(/\n*$/, '')}\n\n${block}\n`;
+}
+
+// Write the pre-commit hook into git's hooks directory (which honors core.hooksPath, e.g. for Husky)
+function installHook({ fix = false, force = false, extraArgs = [] } = {}) {
+  const hooksDir = getGitPath('hooks');
+  const hookPath = path.join(hooksDir, 'pre-commit');
+  const block = createHookBlock({ fix, extraArgs });
+  
+  const existing = !force && fs.existsSync(hookPath) ? fs.readFileSync(hookPath, 'utf8') : null;
+  const content = existing ? addHookBlock(existing, block) : `#!/bin/sh\n\n${block}\n`;
+  
+  fs.mkdirSync(hooksDir, { recursive: true });
+  fs.writeFileSync(hookPath, content, 'utf8');
+  fs.chmodSync(hookPath, 0o755);
+  
+  log(`✓ ${existing ? 'Updated' : 'Installed'} pre-commit hook at ${hookPath}`, 'success');
+  log(fix
+    ? 'Staged files will be escaped and re-staged before each commit'
+    : 'Commits with unescaped entities in staged files will be blocked', 'info');
+  return hookPath;
+}
+
+// Run `literal-hell install-hook` with its own arguments
+function runInstallHookCommand(args) {
+  const separator = args.indexOf('--');
+  const ownArgs = separator === -1 ? args : args.slice(0, separator);
+  const extraArgs = separator === -1 ? [] : args.slice(separator + 1);
+  
+  if (ownArgs.includes('--help') || ownArgs.includes('-h')) {
+    showInstallHookHelp();
+    return EXIT_CODES.SUCCESS;
+  }
+  
+  try {
+    installHook({
+      fix: ownArgs.includes('--fix'),
+      force: ownArgs.includes('--force'),
+      extraArgs
+    });
+  } catch (error) {
+    log(`Failed to install the pre-commit hook: ${error.message}`, 'error');
+    return EXIT_CODES.TOOL_ERROR;
+  }
+  return EXIT_CODES.SUCCESS;
+}
+
+module.exports = {
+  createHookBlock,
+  addHookBlock,
+  installHook,
+  runInstallHookCommand
+};
@@ -1,3 +1,4 @@
+const { AsyncLocalStorage } = require('async_hooks');
 const chalk = require('chalk');
 
 // Log levels and their colors
@@ -9,12 +10,53 @@ const LOG_LEVELS = {
   skip: chalk.gray
 };
 
+// Whether logs go to stderr (e.g. when stdout carries a machine-readable report)
+let logToStderr = false;
+
+// Loggers set for a single API call with withLogger, which take precedence over the console
+const loggerStorage = new AsyncLocalStorage();
+
 // Log a message with optional level
 function log(message, level = 'info') {
+  const logger = loggerStorage.getStore();
+  if (logger) {
+    logger(message, level);
+    return;
+  }
+  
   const color = LOG_LEVELS[level] || chalk.white;
-  console.log(color(message));
+  if (logToStderr) {
+    console.error(color(message));
+  } else {
+    console.log(color(message));
+  }
+}
+
+// Print a preformatted line (e.g. part of a summary) wherever log messages go
+function print(text) {
+  const logger = loggerStorage.getStore();
+  if (logger) {
+    logger(text, 'info');
+  } else if (logToStderr) {
+    console.error(text);
+  } else {
+    console.log(text);
+  }
+}
+
+// Send all log output to stderr instead of stdout
+function setLogToStderr(value) {
+  logToStderr = value;
+}
+
+// Run fn with every log message inside it (including across awaits) sent to logger(message, level)
+function withLogger(logger, fn) {
+  return loggerStorage.run(logger, fn);
 }
 
 module.exports = {
-  log
+  log,
+  print,
+  withLogger,
+  setLogToStderr
 }; 
\ No newline at end of file
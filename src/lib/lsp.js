@@ -0,0 +1,387 @@
+const path = require('path');
+const { fileURLToPath } = require('url');
+const chalk = require('chalk');
+const { VERSION, EXIT_CODES } = require('./config');
+const { validateOptions, resolveOptions } = require('./options');
+const { createWardStore } = require('./fixes');
+const { getLineOffsets, toLineColumn, applyEdits } = require('./edits');
+const { collectFixes, classifyFix } = require('./processor');
+const { log, withLogger, setLogToStderr } = require('./logger');
+
+// JSON-RPC and LSP constants we use
+const ERROR_CODES = {
+  PARSE_ERROR: -32700,
+  METHOD_NOT_FOUND: -32601,
+  INTERNAL_ERROR: -32603,
+  SERVER_NOT_INITIALIZED: -32002
+};
+const TEXT_DOCUMENT_SYNC_FULL = 1;
+const SEVERITY_WARNING = 2;
+const WARD_COMMAND = 'literal-hell.ward';
+
+// The spec's exit code for a client that exits without asking to shut down first
+const EXIT_WITHOUT_SHUTDOWN = 1;
+
+// Log levels sent to the client, as window/logMessage types
+const MESSAGE_TYPES = { error: 1, warning: 2 };
+
+// Display help text for the lsp command
+function showLspHelp() {
+  console.log(chalk.bold('\nliteral-hell lsp: language server for editor diagnostics and quick fixes\n'));
+  console.log('Usage:');
+  console.log('  literal-hell lsp [--stdio]\n');
+  
+  console.log('Speaks the Language Server Protocol over stdin/stdout. Point your editor\'s LSP client at');
+  console.log('`literal-hell lsp` for JavaScript and TypeScript files; settings come from your literal-hell');
+  console.log('config file, and initializationOptions can override them (plus kinds and onlyChars).\n');
+}
+
+// Read Content-Length framed JSON-RPC messages from a stream
+function createMessageReader(input, onMessage, onParseError) {
+  let buffer = Buffer.alloc(0);
+  
+  input.on('data', chunk => {
+    buffer = Buffer.concat([buffer, chunk]);
+    
+    for (;;) {
+      const headerEnd = buffer.indexOf('\r\n\r\n');
+      if (headerEnd === -1) {
+        return;
+      }
+      
+      const match = buffer.slice(0, headerEnd).toString('ascii').match(/Content-Length: *(\d+)/i);
+      const start = headerEnd + 4;
+      if (!match) {
+        buffer = buffer.slice(start);
+        continue;
+      }
+      
+      const end = start + Number(match[1]);
+      if (buffer.length < end) {
+        return;
+      }
+      const body = buffer.slice(start, end).toString('utf8');
+      buffer = buffer.slice(end);
+      
+      let message;
+      try {
+        message = JSON.parse(body);
+      } catch (error) {
+        onParseError(error);
+        continue;
+      }
+      onMessage(message);
+    }
+  });
+}
+
+// Write a JSON-RPC message to a stream with its Content-Length header
+function writeMessage(output, message) {
+  const body = JSON.stringify({ jsonrpc: '2.0', ...message });
+  output.write(`Content-Length: ${Buffer.byteLength(body, 'utf8')}\r\n\r\n${body}`);
+}
+
+// Get the file path of a document, or null for documents that aren't files (e.g. unsaved new ones)
+function toFilePath(uri) {
+  return uri.startsWith('file:') ? fileURLToPath(uri) : null;
+}
+
+// Convert a source offset into an LSP position (0-based line and UTF-16 character, like JS strings)
+function toPosition(lineOffsets, offset) {
+  const { line, column } = toLineColumn(lineOffsets, offset);
+  return { line: line - 1, character: column };
+}
+
+// Compare two LSP positions
+function comparePositions(a, b) {
+  return a.line - b.line || a.character - b.character;
+}
+
+// Check whether two LSP ranges touch or overlap
+function rangesOverlap(a, b) {
+  return comparePositions(a.start, b.end) <= 0 && comparePositions(b.start, a.end) <= 0;
+}
+
+// Describe a fix as a diagnostic message, like the ESLint rule does
+function describeFix(fix) {
+  if (fix.kind !== 'string-literal') {
+    return `\`${fix.original}\` can be escaped with \`${fix.escaped}\`.`;
+  }
+  return `String contains ${fix.escapedChars.join(' ')}, which can be escaped as \`${fix.escaped}\`.`;
+}
+
+// Name the quick fix for a single fix
+function describeQuickFix(fix) {
+  if (fix.kind !== 'string-literal') {
+    return `Escape with ${fix.escaped}`;
+  }
+  return `Escape ${fix.escapedChars.join(' ')} in this string`;
+}
+
+// Create a language server that reads requests from input and writes responses to output
+// Documents are checked from their unsaved contents with the AST engine on every open and change
+function createLspServer({ input = process.stdin, output = process.stdout, cwd = process.cwd() } = {}) {
+  // Open documents by URI: their text and version, and the pending fixes last found in them
+  const documents = new Map();
+  let options = null;
+  let shutdownRequested = false;
+  let onExit = () => {};
+  
+  const send = message => writeMessage(output, message);
+  const notify = (method, params) => send({ method, params });
+  
+  // Warnings and errors go to the client's output panel, since stdout carries the protocol
+  // Progress messages would be logged on every keystroke, so they're dropped
+  const logger = (message, level) => {
+    if (MESSAGE_TYPES[level]) {
+      notify('window/logMessage', { type: MESSAGE_TYPES[level], message: String(message).trim() });
+    }
+  };
+  
+  // Resolve the options for the workspace, with initializationOptions on top of the config file
+  function initializeOptions(params) {
+    const folder = params.workspaceFolders && params.workspaceFolders[0];
+    const rootUri = (folder && folder.uri) || params.rootUri;
+    const root = (rootUri && toFilePath(rootUri)) || params.rootPath || cwd;
+    const { kinds = null, onlyChars = null, ...configOptions } = params.initializationOptions || {};
+    
+    validateOptions(configOptions, 'initializationOptions');
+    const { options: resolved } = resolveOptions(configOptions, { cwd: root });
+    return {
+      ...resolved,
+      // Unsaved buffers are checked on every keystroke, so only the AST engine is fast enough
+      engine: 'ast',
+      cwd: root,
+      kinds,
+      onlyChars,
+      wards: createWardStore({ cwd: root }).load()
+    };
+  }
+  
+  // Find the pending fixes in a document and publish them as diagnostics
+  async function checkDocument(uri) {
+    const document = documents.get(uri);
+    const filePath = toFilePath(uri);
+    if (!document || !filePath || !options.extensions.includes(path.extname(filePath).slice(1))) {
+      return;
+    }
+    
+    const { text, version } = document;
+    const { allFixes } = await collectFixes([filePath], options, { [path.resolve(filePath)]: text });
+    
+    // A newer version arrived while this one was being checked
+    if (documents.get(uri) !== document || document.version !== version) {
+      return;
+    }
+    
+    const lineOffsets = getLineOffsets(text);
+    document.fixes = (allFixes.length > 0 ? allFixes[0].fixes : [])
+      .filter(fix => classifyFix(filePath, fix, options).status === 'pending')
+      .map(fix => ({
+        fix,
+        key: options.wards.createKey(filePath, fix),
+        range: { start: toPosition(lineOffsets, fix.range[0]), end: toPosition(lineOffsets, fix.range[1]) }
+      }));
+    
+    notify('textDocument/publishDiagnostics', {
+      uri,
+      version,
+      diagnostics: document.fixes.map(createDiagnostic)
+    });
+  }
+  
+  // Create the diagnostic for a pending fix
+  function createDiagnostic({ fix, key, range }) {
+    return {
+      range,
+      severity: SEVERITY_WARNING,
+      source: 'literal-hell',
+      code: fix.kind,
+      message: describeFix(fix),
+      data: { key }
+    };
+  }
+  
+  // Offer to escape the fixes at the requested range, all fixes in the file, or ward a fix
+  function getCodeActions({ textDocument, range }) {
+    const document = documents.get(textDocument.uri);
+    if (!document || !document.fixes) {
+      return [];
+    }
+    
+    const uri = textDocument.uri;
+    const inRange = document.fixes.filter(entry => rangesOverlap(entry.range, range));
+    const actions = [];
+    
+    for (const entry of inRange) {
+      actions.push({
+        title: describeQuickFix(entry.fix),
+        kind: 'quickfix',
+        diagnostics: [createDiagnostic(entry)],
+        isPreferred: true,
+        edit: { changes: { [uri]: [{ range: entry.range, newText: entry.fix.escaped }] } }
+      });
+    }
+    
+    if (inRange.length > 0) {
+      // Leave out fixes that overlap another, as the CLI does
+      const { applied } = applyEdits(document.text, document.fixes.map(entry => ({
+        start: entry.fix.range[0],
+        end: entry.fix.range[1],
+        original: document.text.substring(entry.fix.range[0], entry.fix.range[1]),
+        text: entry.fix.escaped,
+        entry
+      })));
+      actions.push({
+        title: 'Escape all in file',
+        kind: 'quickfix',
+        diagnostics: document.fixes.map(createDiagnostic),
+        edit: { changes: { [uri]: applied.map(edit => ({ range: edit.entry.range, newText: edit.text })) } }
+      });
+    }
+    
+    for (const entry of inRange) {
+      actions.push({
+        title: inRange.length > 1 ? `Ward this string (${entry.fix.original})` : 'Ward this string',
+        kind: 'quickfix',
+        diagnostics: [createDiagnostic(entry)],
+        command: { title: 'Ward this string', command: WARD_COMMAND, arguments: [uri, entry.key] }
+      });
+    }
+    
+    return actions;
+  }
+  
+  // Ward a fix, like answering "n" in the CLI, and check the document again without it
+  async function wardFix(uri, key) {
+    const document = documents.get(uri);
+    const entry = document && document.fixes && document.fixes.find(candidate => candidate.key === key);
+    if (!entry) {
+      throw new Error(`No fix ${key} in ${uri}`);
+    }
+    
+    options.wards.add(toFilePath(uri), entry.fix, 'Warded from the editor');
+    options.wards.save();
+    await checkDocument(uri);
+    return null;
+  }
+  
+  const requests = {
+    initialize(params) {
+      options = initializeOptions(params);
+      return {
+        capabilities: {
+          textDocumentSync: { openClose: true, change: TEXT_DOCUMENT_SYNC_FULL },
+          codeActionProvider: { codeActionKinds: ['quickfix'] },
+          executeCommandProvider: { commands: [WARD_COMMAND] }
+        },
+        serverInfo: { name: 'literal-hell', version: VERSION }
+      };
+    },
+    
+    shutdown() {
+      shutdownRequested = true;
+      return null;
+    },
+    
+    'textDocument/codeAction': getCodeActions,
+    
+    'workspace/executeCommand'({ command, arguments: args = [] }) {
+      if (command !== WARD_COMMAND) {
+        throw new Error(`Unknown command ${command}`);
+      }
+      return wardFix(...args);
+    }
+  };
+  
+  const notifications = {
+    'textDocument/didOpen'({ textDocument }) {
+      documents.set(textDocument.uri, { text: textDocument.text, version: textDocument.version });
+      return checkDocument(textDocument.uri);
+    },
+    
+    // Full sync: the last change has the whole text
+    'textDocument/didChange'({ textDocument, contentChanges }) {
+      const change = contentChanges[contentChanges.length - 1];
+      documents.set(textDocument.uri, { text: change.text, version: textDocument.version });
+      return checkDocument(textDocument.uri);
+    },
+    
+    'textDocument/didClose'({ textDocument }) {
+      documents.delete(textDocument.uri);
+      notify('textDocument/publishDiagnostics', { uri: textDocument.uri, diagnostics: [] });
+    },
+    
+    exit() {
+      onExit(shutdownRequested ? EXIT_CODES.SUCCESS : EXIT_WITHOUT_SHUTDOWN);
+    }
+  };
+  
+  // Handle one message, replying to requests with their result or an error
+  async function handleMessage(message) {
+    const { id, method, params = {} } = message;
+    const isRequest = id !== undefined && id !== null;
+    
+    if (!isRequest) {
+      const handler = notifications[method];
+      if (handler && (options || method === 'exit')) {
+        await handler(params);
+      }
+      return;
+    }
+    
+    const handler = requests[method];
+    if (!handler) {
+      send({ id, error: { code: ERROR_CODES.METHOD_NOT_FOUND, message: `Unhandled method ${method}` } });
+      return;
+    }
+    if (!options && method !== 'initialize') {
+      send({ id, error: { code: ERROR_CODES.SERVER_NOT_INITIALIZED, message: 'Server not initialized' } });
+      return;
+    }
+    
+    try {
+      send({ id, result: await handler(params) });
+    } catch (error) {
+      send({ id, error: { code: ERROR_CODES.INTERNAL_ERROR, message: error.message } });
+    }
+  }
+  
+  return {
+    // Serve until the client sends exit (or closes the stream); resolves with the exit code
+    listen() {
+      return new Promise(resolve => {
+        onExit = resolve;
+        
+        // Handle messages one at a time, so a change is checked before the next request about it
+        let queue = Promise.resolve();
+        createMessageReader(input, message => {
+          queue = queue.then(() => withLogger(logger, () => handleMessage(message)))
+            .catch(error => logger(`Error handling ${message.method}: ${error.message}`, 'error'));
+        }, error => {
+          send({ id: null, error: { code: ERROR_CODES.PARSE_ERROR, message: error.message } });
+        });
+        
+        input.on('end', () => resolve(shutdownRequested ? EXIT_CODES.SUCCESS : EXIT_WITHOUT_SHUTDOWN));
+      });
+    }
+  };
+}
+
+// Run `literal-hell lsp`, serving on stdin/stdout until the client exits
+function runLspCommand(args) {
+  if (args.includes('--help') || args.includes('-h')) {
+    showLspHelp();
+    return EXIT_CODES.SUCCESS;
+  }
+  
+  // Anything logged outside a request must not end up in the protocol stream
+  setLogToStderr(true);
+  log(`literal-hell ${VERSION} language server listening on stdio`, 'info');
+  return createLspServer().listen();
+}
+
+module.exports = {
+  createLspServer,
+  runLspCommand
+};
@@ -0,0 +1,219 @@
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_OPTIONS, ENGINES, ENTITY_STYLES, SMART_QUOTES_MODES } = require('./config');
+
+// Config files looked up in the project directory, in order
+const CONFIG_FILES = ['.literal-hellrc.json', 'literal-hell.config.js'];
+
+// Key used for configuration inside package.json
+const PACKAGE_JSON_KEY = 'literal-hell';
+
+// Environment variables and the options they set
+const ENV_OPTIONS = {
+  LITERAL_HELL_INCLUDE: { name: 'include', type: 'list' },
+  LITERAL_HELL_EXCLUDE: { name: 'exclude', type: 'list' },
+  LITERAL_HELL_EXTENSIONS: { name: 'extensions', type: 'list' },
+  LITERAL_HELL_MAX_FILE_SIZE: { name: 'maxFileSize', type: 'number' },
+  LITERAL_HELL_ENGINE: { name: 'engine', type: 'string' },
+  LITERAL_HELL_USE_PROJECT_ESLINT: { name: 'useProjectEslint', type: 'boolean' },
+  LITERAL_HELL_ENTITY_STYLE: { name: 'entityStyle', type: 'string' },
+  LITERAL_HELL_SMART_QUOTES: { name: 'smartQuotes', type: 'string' },
+  LITERAL_HELL_STRICT: { name: 'strict', type: 'boolean' },
+  LITERAL_HELL_VERBOSE: { name: 'verbose', type: 'boolean' }
+};
+
+// Split a comma-separated list, keeping commas inside glob braces like {js,ts}
+function splitList(value) {
+  const items = [];
+  let current = '';
+  let depth = 0;
+  
+  for (const c of value) {
+    if (c === '{') depth++;
+    if (c === '}') depth = Math.max(0, depth - 1);
+    if (c === ',' && depth === 0) {
+      items.push(current);
+      current = '';
+      continue;
+    }
+    current += c;
+  }
+  items.push(current);
+  
+  return items.map(item => item.trim()).filter(Boolean);
+}
+
+// Normalize extensions so both "jsx" and ".jsx" are accepted
+function normalizeExtensions(extensions) {
+  return extensions.map(ext => ext.replace(/^\./, ''));
+}
+
+// Find and load the project's config file, if there is one
+function loadConfigFile(cwd = process.cwd(), configPath = null) {
+  // An explicitly requested config file must exist
+  if (configPath) {
+    const resolved = path.resolve(cwd, configPath);
+    if (!fs.existsSync(resolved)) {
+      throw new Error(`Config file not found: ${configPath}`);
+    }
+    return { config: readConfigFile(resolved), configFile: resolved };
+  }
+  
+  for (const fileName of CONFIG_FILES) {
+    const candidate = path.join(cwd, fileName);
+    if (fs.existsSync(candidate)) {
+      return { config: readConfigFile(candidate), configFile: candidate };
+    }
+  }
+  
+  // Fall back to the "literal-hell" key in package.json
+  const packageJsonPath = path.join(cwd, 'package.json');
+  if (fs.existsSync(packageJsonPath)) {
+    try {
+      const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, 'utf8'));
+      if (packageJson[PACKAGE_JSON_KEY]) {
+        return { config: packageJson[PACKAGE_JSON_KEY], configFile: packageJsonPath };
+      }
+    } catch (error) {
+      throw new Error(`Error reading ${packageJsonPath}: ${error.message}`);
+    }
+  }
+  
+  return { config: {}, configFile: null };
+}
+
+// Read a JSON or JavaScript config file
+function readConfigFile(filePath) {
+  try {
+    if (filePath.endsWith('.js') || filePath.endsWith('.cjs')) {
+      return require(filePath);
+    }
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Error loading config file ${filePath}: ${error.message}`);
+  }
+}
+
+// Read options from LITERAL_HELL_* environment variables
+function readEnvOptions(env = process.env) {
+  const options = {};
+  
+  for (const [variable, { name, type }] of Object.entries(ENV_OPTIONS)) {
+    const value = env[variable];
+    if (value === undefined || value === '') {
+      continue;
+    }
+    
+    if (type === 'list') {
+      options[name] = splitList(value);
+    } else if (type === 'string') {
+      options[name] = value;
+    } else if (type === 'number') {
+      options[name] = Number(value);
+    } else if (type === 'boolean') {
+      options[name] = ['1', 'true', 'yes', 'on'].includes(value.toLowerCase());
+    }
+  }
+  
+  return options;
+}
+
+// Check that config values have the right types, throwing on the first problem
+function validateOptions(options, source) {
+  const isStringArray = value => Array.isArray(value) && value.every(item => typeof item === 'string');
+  const isPlainObject = value => value && typeof value === 'object' && !Array.isArray(value);
+  
+  for (const [name, value] of Object.entries(options)) {
+    if (!(name in DEFAULT_OPTIONS)) {
+      throw new Error(`Unknown option "${name}" in ${source}`);
+    }
+    
+    const expected = DEFAULT_OPTIONS[name];
+    let valid = true;
+    if (Array.isArray(expected)) {
+      valid = isStringArray(value);
+    } else if (typeof expected === 'number') {
+      valid = typeof value === 'number' && Number.isFinite(value) && value > 0;
+    } else if (typeof expected === 'boolean') {
+      valid = typeof value === 'boolean';
+    } else if (typeof expected === 'string') {
+      valid = typeof value === 'string';
+    } else if (isPlainObject(expected)) {
+      valid = isPlainObject(value);
+    }
+    
+    if (!valid) {
+      throw new Error(`Invalid value for "${name}" in ${source}: ${JSON.stringify(value)}`);
+    }
+  }
+  
+  if (options.engine !== undefined && !ENGINES.includes(options.engine)) {
+    throw new Error(`Invalid engine "${options.engine}" in ${source} (expected one of: ${ENGINES.join(', ')})`);
+  }
+  
+  if (options.entityStyle !== undefined && !ENTITY_STYLES[options.entityStyle]) {
+    throw new Error(`Invalid entity style "${options.entityStyle}" in ${source} (expected one of: ${Object.keys(ENTITY_STYLES).join(', ')})`);
+  }
+  
+  if (options.smartQuotes !== undefined && !SMART_QUOTES_MODES.includes(options.smartQuotes)) {
+    throw new Error(`Invalid smart quotes mode "${options.smartQuotes}" in ${source} (expected one of: ${SMART_QUOTES_MODES.join(', ')})`);
+  }
+  
+  // Per-character entities are a style name or a literal replacement string
+  if (options.entities) {
+    for (const [char, value] of Object.entries(options.entities)) {
+      if (typeof value !== 'string' || value === '') {
+        throw new Error(`Invalid entity for "${char}" in ${source}: ${JSON.stringify(value)}`);
+      }
+    }
+  }
+  
+  // Auto-skip toggles must be known booleans
+  if (options.autoSkip) {
+    for (const [toggle, value] of Object.entries(options.autoSkip)) {
+      if (!(toggle in DEFAULT_OPTIONS.autoSkip) || typeof value !== 'boolean') {
+        throw new Error(`Invalid auto-skip toggle "${toggle}" in ${source}`);
+      }
+    }
+  }
+}
+
+// Merge option layers, later layers winning; nested objects are merged key by key
+function mergeOptions(...layers) {
+  const merged = {};
+  
+  for (const layer of layers) {
+    for (const [name, value] of Object.entries(layer)) {
+      if (value === undefined) {
+        continue;
+      }
+      const isObject = value && typeof value === 'object' && !Array.isArray(value);
+      merged[name] = isObject ? { ...merged[name], ...value } : value;
+    }
+  }
+  
+  return merged;
+}
+
+// Resolve the effective options: CLI flags > env vars > config file > defaults
+function resolveOptions(cliOptions = {}, { cwd = process.cwd(), env = process.env, configPath = null } = {}) {
+  const { config, configFile } = loadConfigFile(cwd, configPath || env.LITERAL_HELL_CONFIG || null);
+  const envOptions = readEnvOptions(env);
+  
+  validateOptions(config, configFile || 'config');
+  validateOptions(envOptions, 'environment variables');
+  
+  const options = mergeOptions(DEFAULT_OPTIONS, config, envOptions, cliOptions);
+  options.extensions = normalizeExtensions(options.extensions);
+  
+  return { options, configFile };
+}
+
+module.exports = {
+  CONFIG_FILES,
+  splitList,
+  loadConfigFile,
+  readEnvOptions,
+  validateOptions,
+  resolveOptions
+};
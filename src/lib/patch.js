@@ -0,0 +1,47 @@
+const fs = require('fs');
+const path = require('path');
+const { createTwoFilesPatch } = require('diff');
+const { log } = require('./logger');
+
+// Create a git-style unified diff for a single file
+function createFilePatch(filePath, oldContent, newContent) {
+  // Use forward slashes relative to the working directory so `git apply` can find the file
+  const relativePath = path.relative(process.cwd(), filePath).split(path.sep).join('/');
+  
+  const patch = createTwoFilesPatch(
+    `a/${relativePath}`,
+    `b/${relativePath}`,
+    oldContent,
+    newContent,
+    undefined,
+    undefined,
+    { context: 3 }
+  );
+  
+  // Replace jsdiff's separator line with a git header
+  return patch.replace(/^=+\n/, `diff --git a/${relativePath} b/${relativePath}\n`);
+}
+
+// Print the combined patch or save it to a file
+function outputPatch(patches, patchFile = null) {
+  const combined = patches.join('');
+  
+  if (patchFile) {
+    fs.writeFileSync(patchFile, combined, 'utf8');
+    log(`✓ Wrote patch for ${patches.length} files to ${patchFile}`, 'success');
+    log(`Review it, then apply it with: git apply ${patchFile}`, 'info');
+    return;
+  }
+  
+  if (patches.length === 0) {
+    log('No changes to show', 'info');
+    return;
+  }
+  
+  process.stdout.write(`\n${combined}`);
+}
+
+module.exports = {
+  createFilePatch,
+  outputPatch
+};
@@ -1,347 +1,676 @@
 const fs = require('fs');
+const path = require('path');
 const chalk = require('chalk');
-const { verbose, strictMode } = require('./config');
-const { log } = require('./logger');
+const { log, print } = require('./logger');
 const { getSingleKeypress, getContextLines, waitForAnyKey } = require('./ui');
-const { 
-  isFixRejected, 
-  addRejectedFix, 
-  fileModTimes,
-  saveRejectedFixes 
-} = require('./fixes');
 const { 
   checkFileModification, 
   readFileWithSizeCheck, 
   writeFileWithVerification 
 } = require('./file');
+const { createFilePatch, outputPatch } = require('./patch');
+const { createEdit, applyEdits } = require('./edits');
+const { writeReport } = require('./reporters');
 const { runESLintForEscapeErrors, convertEslintErrorsToFixes } = require('./eslint');
-const { parseFile, findStringFixes } = require('./ast');
+const { parseFile, findStringFixes, getTextRanges } = require('./ast');
+const { isComponentFile, findComponentFixes, getComponentTextRanges } = require('./sfc');
+const { addFingerprints } = require('./fingerprint');
+const { isInChangedLines, readStagedFile, writeStagedFile } = require('./git');
+const { createFixKey } = require('./fixes');
+const { MAX_FILE_SIZE } = require('./config');
 const { 
   escapeString, 
   isAlreadyEscapedInLineWindow, 
   isAutoSkipPattern 
 } = require('./escape');
 
+// Create an empty summary of fix decisions
+function createSummary() {
+  return {
+    applied: [],
+    autoSkipped: [],
+    warded: [],
+    filtered: [],
+    rejected: [],
+    patches: []
+  };
+}
+
+// Decide whether a fix should be offered, or why it is being skipped
+function classifyFix(filePath, fix, options = {}) {
+  const { original, escapedChars, loc, kind } = fix;
+  const { line, column } = loc.start;
+  
+  // Skip if we've already rejected this exact fix before
+  if (options.wards && options.wards.isRejected(filePath, fix)) {
+    return { status: 'warded', reason: 'Previously rejected' };
+  }
+  
+  // Skip fixes excluded by the --kinds filter
+  if (options.kinds && !options.kinds.includes(kind)) {
+    return { status: 'filtered', reason: `Kind ${kind} not selected` };
+  }
+  
+  // Skip fixes that would escape characters outside the --only-chars filter
+  if (options.onlyChars && !escapedChars.every(c => options.onlyChars.includes(c))) {
+    return { status: 'filtered', reason: `Characters ${escapedChars.join('')} not selected` };
+  }
+  
+  // Skip fixes outside the lines changed in git, with --changed-lines
+  if (options.changedLineRanges && !isInChangedLines(options.changedLineRanges, filePath, line, loc.end.line)) {
+    return { status: 'filtered', reason: 'Line not changed' };
+  }
+  
+  // Check the fix's own text against the auto-skip heuristics: a string literal's value, or the
+  // JSX text node or template text it's in - never the whole line, which mixes in unrelated code
+  const autoSkip = isAutoSkipPattern(fix.context || original, filePath, line, column, options);
+  if (autoSkip) {
+    return { status: 'auto-skipped', reason: autoSkip.reason };
+  }
+  
+  return { status: 'pending' };
+}
+
+// Ask the user what to do with a fix, showing more context on request
+async function promptForFix(fileContent, line) {
+  while (true) {
+    // Use single-keypress input
+    const response = await getSingleKeypress('Apply fix? (y/n/q/c for more context) [y]: ');
+    
+    if (response === 'c') {
+      // Show more context and ask again
+      console.log(chalk.yellow('\nMore context:'));
+      console.log(getContextLines(fileContent, line, 7));
+      console.log(''); // Empty line for readability
+      continue;
+    }
+    
+    return response;
+  }
+}
+
+// Parse a file and get its text ranges, or null if it can't be parsed
+// Vue, Svelte and Astro components and MDX files are split into their markup and code first
+function getFileTextRanges(fileContent, filePath = null) {
+  try {
+    if (isComponentFile(filePath)) {
+      return getComponentTextRanges(filePath, fileContent);
+    }
+    return getTextRanges(parseFile(fileContent));
+  } catch (error) {
+    log(`Could not parse file to verify fix locations: ${error.message}`, 'warning');
+    return null;
+  }
+}
+
+// Check whether a fix can be turned into an edit, returning the reason when it can't
+// The edit must lie entirely within a JSX text node (or string literal, or component template text),
+// so tags on the same line are never touched
+function getUnappliableReason(fix, textRanges) {
+  if (!fix.range) {
+    return 'its source range is unknown';
+  }
+  if (!textRanges) {
+    return 'the file could not be parsed';
+  }
+  
+  const [start, end] = fix.range;
+  const isInside = candidates => (candidates || []).some(([nodeStart, nodeEnd]) => start >= nodeStart && end <= nodeEnd);
+  if (fix.kind === 'template-text') {
+    return isInside(textRanges.templateText) ? null : 'it is not inside template text or an attribute value';
+  }
+  if (!isInside(fix.isJsx ? textRanges.jsxText : textRanges.stringLiteral)) {
+    return fix.isJsx ? 'it is not inside JSX text' : 'it is not inside a string literal';
+  }
+  
+  return null;
+}
+
+// Write the new file content, or record it as a patch in dry-run mode
+function saveFileContent(filePath, fileContent, newContent, options, summary, fileModTimes) {
+  // With --stdin there is no file to write; the caller prints the new content
+  if (options.stdin) {
+    return;
+  }
+  
+  if (options.dryRun) {
+    summary.patches.push(createFilePatch(filePath, fileContent, newContent));
+    log(`✓ Recorded changes to ${filePath} (dry run)`, 'success');
+    return;
+  }
+  
+  // With --staged the fixes were made to the staged content, so they go back into the index.
+  // The working copy only gets them too if it matches, so unstaged changes are never clobbered
+  if (options.staged) {
+    const workingContent = fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null;
+    log(`Staging changes to ${filePath}...`, 'info');
+    writeStagedFile(filePath, newContent);
+    if (workingContent === fileContent) {
+      writeFileWithVerification(filePath, newContent);
+      fileModTimes[filePath] = fs.statSync(filePath).mtimeMs;
+    } else {
+      log(`${filePath} has unstaged changes, so only its staged version was fixed`, 'warning');
+    }
+    log(`✓ Successfully staged: ${filePath}`, 'success');
+    return;
+  }
+  
+  log(`Writing changes to ${filePath}...`, 'info');
+  writeFileWithVerification(filePath, newContent);
+  log(`✓ Successfully saved: ${filePath}`, 'success');
+  
+  // Update modification time after saving
+  fileModTimes[filePath] = fs.statSync(filePath).mtimeMs;
+}
+
 // Process a single file with its fixes
-async function processFileFixes(filePath, fileContent, fixes) {
+// fileModTimes tracks when each file was last read or written during this run
+async function processFileFixes(filePath, fileContent, fixes, options = {}, summary = createSummary(), fileModTimes = {}) {
   log(`Processing ${fixes.length} fixes in ${filePath}`);
   
-  let changed = false;
-  let fileLines = fileContent.split('\n');
+  let quit = false;
+  let textRanges;
+  const edits = [];
   
-  // Sort fixes from last to first in the file to avoid position shifts
+  // Prompt in file order; edits are applied by offset at the end, so order doesn't matter
   fixes.sort((a, b) => {
-    if (b.loc.start.line !== a.loc.start.line) {
-      return b.loc.start.line - a.loc.start.line;
+    if (a.loc.start.line !== b.loc.start.line) {
+      return a.loc.start.line - b.loc.start.line;
     }
-    return b.loc.start.column - a.loc.start.column;
+    return a.loc.start.column - b.loc.start.column;
   });
   
   // Process each fix
   for (const fix of fixes) {
     // Handle information-only fixes (for strict mode)
     if (fix.type === 'information') {
-      console.log(chalk.magenta(fix.message));
-      console.log(chalk.yellow('\nContext:'));
-      console.log(getContextLines(fileContent, fix.loc.start.line, 5));
-      await waitForAnyKey('');
+      if (!options.yes) {
+        console.log(chalk.magenta(fix.message));
+        console.log(chalk.yellow('\nContext:'));
+        console.log(getContextLines(fileContent, fix.loc.start.line, 5));
+        await waitForAnyKey('');
+      }
       continue;
     }
 
     const { original, escaped, escapedChars, loc } = fix;
     const { line, column } = loc.start;
+    const entry = { filePath, line, column, original, escaped };
 
-    // Skip if we've already rejected this exact fix before
-    if (isFixRejected(filePath, line, column, original)) {
+    // Skip warded, filtered and auto-skipped fixes
+    const { status, reason } = classifyFix(filePath, fix, options);
+    if (status === 'warded') {
       log(`Skipping previously rejected fix in ${filePath}:${line}:${column}`, 'skip');
+      summary.warded.push(entry);
+      continue;
+    }
+    if (status === 'filtered') {
+      if (options.verbose) {
+        log(`Skipping filtered fix in ${filePath}:${line}:${column} (${reason})`, 'skip');
+      }
+      summary.filtered.push({ ...entry, reason });
+      continue;
+    }
+    if (status === 'auto-skipped') {
+      log(`Auto-skipping fix in ${filePath}:${line}:${column} (${reason})`, 'skip');
+      summary.autoSkipped.push({ ...entry, reason });
       continue;
     }
 
-    console.log(chalk.yellow(`\nIn ${filePath}:${line}:${column}`));
-    console.log(chalk.yellow('\nContext:'));
-    console.log(getContextLines(fileContent, line, 3));
-    console.log('\nOriginal:', original);
-    console.log('Escaped: ', escaped);
-    console.log(chalk.cyan(`Characters to escape: ${escapedChars.map(c => `[  ${c}  ]`).join(', ')}`));
+    let response = 'y';
+    if (!options.yes) {
+      console.log(chalk.yellow(`\nIn ${filePath}:${line}:${column}`));
+      console.log(chalk.yellow('\nContext:'));
+      console.log(getContextLines(fileContent, line, 3));
+      console.log('\nOriginal:', original);
+      console.log('Escaped: ', escaped);
+      console.log(chalk.cyan(`Characters to escape: ${escapedChars.map(c => `[  ${c}  ]`).join(', ')}`));
 
-    // Loop to handle context viewing and decision
-    while (true) {
       try {
-        // Use single-keypress input
-        const response = await getSingleKeypress('Apply fix? (y/n/q/c for more context) [y]: ');
-        
-        if (response === 'c') {
-          // Show more context and continue the loop
-          console.log(chalk.yellow('\nMore context:'));
-          console.log(getContextLines(fileContent, line, 7));
-          console.log(''); // Empty line for readability
-          continue;
-        }
-        
-        // Check if file has been modified externally
-        if (checkFileModification(filePath, fileModTimes)) {
-          log(`File ${filePath} was modified externally. Aborting processing of this file.`, 'warning');
-          break;
-        }
-        
-        if (response === 'q') {
-          // Save any changes that have been applied so far
-          if (changed) {
-            try {
-              fileContent = fileLines.join('\n');
-              writeFileWithVerification(filePath, fileContent);
-              log(`✓ Saved: ${filePath}`, 'success');
-              
-              // Update modification time after saving
-              fileModTimes[filePath] = fs.statSync(filePath).mtimeMs;
-            } catch (error) {
-              log(`Error saving file: ${error.message}`, 'error');
-            }
-          }
-          
-          log('Saving rejection history and exiting...', 'info');
-          saveRejectedFixes();
-          process.exit(0);
-        } else if (response === 'y') {
-          log(`Applying fix: ${original} -> ${escaped}`, 'info');
-          
-          // Different handling based on whether it's a JSX text node or a string literal
-          if (fix.isJsx) {
-            // JSX text nodes are handled differently - we need to find the text directly
-            if (original.includes('\n') || fix.rawValue.includes('\n')) {
-              // For multiline JSX text, we need a more careful approach
-              log(`Handling multiline JSX text replacement for: "${original}"`, 'info');
-              
-              // Get the raw JSX text with correct whitespace
-              const rawValue = fix.rawValue; // e.g., "\n    text with "quotes"\n  "
-              const originalTrimmed = fix.original; // e.g., "text with \"quotes\""
-              const escapedTrimmed = fix.escaped; // e.g., "text with &quot;quotes&quot;"
-
-              const astStartLine = fix.loc.start.line; // 1-indexed
-              const astEndLine = fix.loc.end.line;     // 1-indexed
-              const astStartCol = fix.loc.start.column; // 0-indexed, start of rawValue
-              const astEndCol = fix.loc.end.column;   // 0-indexed, end of rawValue
-
-              // Find the starting line and column of the *originalTrimmed* text within the rawValue
-              let currentLineOffset = 0;
-              let startLineOfOriginalInRaw = -1;
-              let startColOfOriginalInRaw = -1;
-
-              const rawValueLines = rawValue.split('\n');
-              for (let i = 0; i < rawValueLines.length; i++) {
-                const lineOfRaw = rawValueLines[i];
-                const indexOfOriginalInLine = lineOfRaw.indexOf(originalTrimmed);
-                if (indexOfOriginalInLine !== -1) {
-                  startLineOfOriginalInRaw = i;
-                  startColOfOriginalInRaw = indexOfOriginalInLine;
-                  break;
-                }
-              }
-
-              if (startLineOfOriginalInRaw === -1) {
-                log(`Could not find trimmed original ("${originalTrimmed}") within rawValue ("${rawValue}"). Skipping.`, 'warning');
-                break; // from while(true) - skip this fix
-              }
-              
-              // The actual line in the file where originalTrimmed starts
-              const targetFileLineIndex = astStartLine -1 + startLineOfOriginalInRaw;
-              // The actual column in that file line where originalTrimmed starts
-              const targetFileColumnIndex = (startLineOfOriginalInRaw === 0) ? astStartCol + startColOfOriginalInRaw : startColOfOriginalInRaw;
-
-              // Ensure the target line actually contains the start of the originalTrimmed text
-              const lineToModify = fileLines[targetFileLineIndex];
-              if (!lineToModify || !lineToModify.includes(originalTrimmed.split('\n')[0])) {
-                  log(`Multiline sanity check failed: target line does not seem to contain the start of "${originalTrimmed.split('\n')[0]}". Skipping.`, 'warning');
-                  break; // from while(true) - skip this fix
-              }
-
-              // At this point, we assume originalTrimmed is single-line for this replacement strategy,
-              // even if rawValue is multi-line. This simplification is based on current problem.
-              // If originalTrimmed itself could be multi-line, this logic would need to be more complex.
-              const beforeText = lineToModify.substring(0, targetFileColumnIndex);
-              const afterText = lineToModify.substring(targetFileColumnIndex + originalTrimmed.length);
-              
-              fileLines[targetFileLineIndex] = beforeText + escapedTrimmed + afterText;
-              changed = true;
-              log(`Replaced multiline-rawValue JSX: "${originalTrimmed}" with "${escapedTrimmed}"`, 'info');
-
-            } else {
-              // Single line JSX text
-              const targetLine = fileLines[line - 1]; // line is fix.loc.start.line
-              
-              // CRITICAL: Skip any line that contains JSX tags to avoid damaging them
-              if (targetLine.includes('<') && targetLine.includes('>')) {
-                log(`Skipping single-line JSX with tags: ${targetLine.trim().substring(0, 50)}...`, 'skip');
-                return { changed: false }; // User has this as return, this will exit processFile for this file
-              }
-              
-              // Find the text in the line
-              const textIndex = targetLine.indexOf(original);
-              if (textIndex >= 0) {
-                // When replacing directly, only handle apostrophes and quotes to be safe
-                // Create a safe version that only replaces quotes and apostrophes
-                const safeEscaped = original.replace(/['\"]/g, c => {
-                  if (c === "'") return '&apos;';
-                  if (c === '"') return '&quot;';
-                  return c;
-                });
-                
-                // Replace the text directly
-                const newLine = 
-                  targetLine.substring(0, textIndex) + 
-                  safeEscaped + 
-                  targetLine.substring(textIndex + original.length);
-                
-                // Update the line in the lines array
-                fileLines[line - 1] = newLine;
-                
-                log(`Replaced JSX text with safe apostrophe/quote escaping only`, 'info');
-                changed = true;
-              } else {
-                log(`Could not find JSX text "${original}" in line ${line}`, 'warning');
-              }
-            }
-          } else {
-            // Handle string literals as before
-            // Get the line containing the string literal
-            const targetLine = fileLines[line - 1]; // locations are 1-indexed
-                
-            // Find where the actual string content starts and ends (ignoring quotes)
-            // Determine which quote character is used (single or double)
-            const quoteChar = targetLine[column];
-            const stringStart = column + 1; // skip the opening quote
-                
-            // Find where the string content ends (character before the closing quote)
-            const closingQuotePos = targetLine.indexOf(quoteChar, stringStart);
-                
-            if (closingQuotePos > stringStart) {
-              // Extract the string content to verify it matches
-              const stringContent = targetLine.substring(stringStart, closingQuotePos);
-                
-              // If the extracted content matches our expected original, make the replacement
-              if (stringContent === original) {
-                // Replace the string content with the escaped version
-                const newLine = 
-                  targetLine.substring(0, stringStart) + 
-                  escaped + 
-                  targetLine.substring(closingQuotePos);
-                    
-                // Update the line in the lines array
-                fileLines[line - 1] = newLine;
-                
-                log(`Replaced with precise line location`, 'info');
-                changed = true;
-              } else {
-                log(`String content mismatch at ${filePath}:${line}:${column}: expected "${original}" but found "${stringContent}"`, 'warning');
-              }
-            }
-          }
-          
-          break;
-        } else {
-          // Must be 'n' - record this as a rejected fix
-          addRejectedFix(filePath, line, column, original);
-          break;
-        }
+        response = await promptForFix(fileContent, line);
       } catch (error) {
         log(`Error handling user input: ${error.message}`, 'error');
-        break;
+        continue;
       }
     }
+    
+    // Check if file has been modified externally (source from stdin has no file)
+    if (!options.stdin && checkFileModification(filePath, fileModTimes)) {
+      log(`File ${filePath} was modified externally. Aborting processing of this file.`, 'warning');
+      continue;
+    }
+    
+    if (response === 'q') {
+      // Stop prompting - changes applied so far are saved below
+      quit = true;
+      break;
+    } else if (response === 'y') {
+      // Parse the file the first time a fix is accepted
+      if (textRanges === undefined) {
+        textRanges = getFileTextRanges(fileContent, filePath);
+      }
+      const unappliable = getUnappliableReason(fix, textRanges);
+      if (unappliable) {
+        log(`Skipping fix in ${filePath}:${line}:${column} because ${unappliable}`, 'skip');
+        continue;
+      }
+      log(`Applying fix: ${original} -> ${escaped}`, 'info');
+      edits.push({ ...createEdit(fix), entry });
+    } else {
+      // Must be 'n' - record this as a rejected fix
+      if (options.wards) {
+        options.wards.add(filePath, fix);
+      }
+      summary.rejected.push(entry);
+    }
   }
 
-  if (changed) {
+  if (edits.length > 0) {
     try {
-      // Rebuild the file content from modified lines
-      fileContent = fileLines.join('\n');
-      log(`Writing changes to ${filePath}...`, 'info');
+      // Apply every accepted fix in one pass over the original content
+      const { content: newContent, applied, skipped } = applyEdits(fileContent, edits);
+      for (const { edit, reason } of skipped) {
+        log(`Could not apply fix in ${filePath}:${edit.entry.line}:${edit.entry.column}: ${reason}`, 'warning');
+      }
+      if (applied.length === 0) {
+        log(`No changes made to ${filePath}`, 'info');
+        return { changed: false, quit };
+      }
       
       // Verify we don't have corrupted escapes before writing
-      if (fileContent.includes('&amp;lt;') || fileContent.includes('&amp;gt;')) {
+      if (newContent.includes('&amp;lt;') || newContent.includes('&amp;gt;')) {
         log(`WARNING: Detected potentially corrupted escapes in ${filePath}. Skipping file.`, 'warning');
-        return { changed: false };
+        return { changed: false, quit };
       }
       
-      writeFileWithVerification(filePath, fileContent);
-      log(`✓ Successfully saved: ${filePath}`, 'success');
-      return { changed: true };
+      saveFileContent(filePath, fileContent, newContent, options, summary, fileModTimes);
+      summary.applied.push(...applied.map(edit => edit.entry));
+      return { changed: true, quit, content: newContent };
     } catch (error) {
       log(`Error saving file: ${error.message}`, 'error');
-      return { changed: false };
+      return { changed: false, quit, failed: true };
     }
   } else if (fixes.length > 0) {
     log(`No changes made to ${filePath}`, 'info');
-    return { changed: false };
   }
-  return { changed: false };
+  return { changed: false, quit };
+}
+
+// Find fixes with ESLint, grouped by file
+async function collectEslintFixes(filePaths, options, readContent) {
+  const fixesByFile = {};
+  
+  const { escapeErrors, failedFiles } = await runESLintForEscapeErrors(filePaths, options, readContent);
+  if (escapeErrors.length === 0) {
+    log('No unescaped entities found by ESLint', 'info');
+    return { fixesByFile, failedFiles };
+  }
+  
+  // Group errors by file
+  const errorsByFile = escapeErrors.reduce((acc, error) => {
+    if (!acc[error.filePath]) {
+      acc[error.filePath] = [];
+    }
+    acc[error.filePath].push(error);
+    return acc;
+  }, {});
+  
+  // Convert each file's errors into fixes
+  for (const [filePath, errors] of Object.entries(errorsByFile)) {
+    try {
+      const fixes = convertEslintErrorsToFixes(errors, readContent(filePath), options);
+      fixesByFile[filePath] = fixes.map(fix => ({ ...fix, source: 'eslint' }));
+    } catch (error) {
+      log(`Error reading file ${filePath}: ${error.message}`, 'error');
+      failedFiles.push(filePath);
+    }
+  }
+  log(`Found ${escapeErrors.length} unescaped entities via ESLint`, 'info');
+  
+  return { fixesByFile, failedFiles };
+}
+
+// Find fixes in Vue, Svelte and Astro components and MDX files, grouped by file
+// ESLint can't read them, so they're always checked by literal-hell itself, whatever the engine
+function collectComponentFixes(filePaths, options, readContent) {
+  const fixesByFile = {};
+  const failedFiles = [];
+  let total = 0;
+  
+  for (const filePath of filePaths) {
+    try {
+      const fixes = findComponentFixes(filePath, readContent(filePath), options);
+      if (fixes.length > 0) {
+        fixesByFile[filePath] = fixes.map(fix => ({ ...fix, source: 'ast' }));
+        total += fixes.length;
+      }
+    } catch (error) {
+      log(`Error analyzing file ${filePath}: ${error.message}`, 'error');
+      failedFiles.push(filePath);
+    }
+  }
+  if (filePaths.length > 0) {
+    log(`Found ${total} potential fixes in Vue, Svelte, Astro and MDX files`, 'info');
+  }
+  
+  return { fixesByFile, failedFiles };
+}
+
+// Find fixes with the Babel AST traversal, grouped by file
+function collectAstFixes(filePaths, options, readContent) {
+  const fixesByFile = {};
+  const failedFiles = [];
+  let total = 0;
+  
+  for (const filePath of filePaths) {
+    try {
+      const fileContent = readContent(filePath);
+      const fixes = findStringFixes(parseFile(fileContent), filePath, fileContent, options);
+      if (fixes.length > 0) {
+        fixesByFile[filePath] = fixes.map(fix => ({ ...fix, source: 'ast' }));
+        total += fixes.length;
+      }
+    } catch (error) {
+      log(`Error analyzing file ${filePath}: ${error.message}`, 'error');
+      failedFiles.push(filePath);
+    }
+  }
+  log(`Found ${total} potential fixes via AST traversal`, 'info');
+  
+  return { fixesByFile, failedFiles };
+}
+
+// Merge fixes from both engines; a fix both engines found at the same range is kept once, tagged 'both'
+function mergeFixes(eslintFixes = [], astFixes = []) {
+  const byRange = new Map(eslintFixes.map(fix => [fix.range.join(':'), fix]));
+  
+  for (const fix of astFixes) {
+    const key = fix.range.join(':');
+    if (byRange.has(key)) {
+      byRange.get(key).source = 'both';
+    } else {
+      byRange.set(key, fix);
+    }
+  }
+  
+  return [...byRange.values()];
+}
+
+// Find fixes for all files using the selected engine, grouped by file
+// Content already in `knownContents` (by absolute path) is used instead of reading the file
+async function collectFixes(filePaths, options = {}, knownContents = {}) {
+  const engine = options.engine || 'eslint';
+  // ESLint reports absolute paths, so use them for both engines
+  const absolutePaths = filePaths.map(filePath => path.resolve(filePath));
+  const contents = { ...knownContents };
+  const readContent = filePath => {
+    if (!(filePath in contents)) {
+      // --staged scans what is about to be committed, which can differ from the working copy
+      contents[filePath] = options.staged
+        ? readStagedFile(filePath)
+        : readFileWithSizeCheck(filePath, options.maxFileSize);
+    }
+    return contents[filePath];
+  };
+  
+  // Files over --max-file-size are skipped with a warning whatever the engine, rather than failing the run.
+  // Content we were handed (stdin, the editor, a bundler) is always checked
+  const maxFileSize = options.maxFileSize || MAX_FILE_SIZE;
+  const getFileSize = filePath => options.staged
+    ? Buffer.byteLength(readContent(filePath))
+    : fs.statSync(filePath).size;
+  const scanPaths = absolutePaths.filter(filePath => {
+    if (filePath in contents) {
+      return true;
+    }
+    let size;
+    try {
+      size = getFileSize(filePath);
+    } catch (error) {
+      // Unreadable files are reported as failures when the engines read them
+      return true;
+    }
+    if (size > maxFileSize) {
+      log(`Skipping ${filePath}: file too large (${Math.round(size / 1024)}KB)`, 'warning');
+      return false;
+    }
+    return true;
+  });
+  
+  const componentPaths = scanPaths.filter(isComponentFile);
+  const scriptPaths = scanPaths.filter(filePath => !isComponentFile(filePath));
+  
+  const eslintResult = engine !== 'ast' && scriptPaths.length > 0
+    ? await collectEslintFixes(scriptPaths, options, readContent)
+    : { fixesByFile: {}, failedFiles: [] };
+  const astResult = engine !== 'eslint'
+    ? collectAstFixes(scriptPaths, options, readContent)
+    : { fixesByFile: {}, failedFiles: [] };
+  const componentResult = collectComponentFixes(componentPaths, options, readContent);
+  
+  const allFixes = [];
+  for (const filePath of scanPaths) {
+    const fixes = isComponentFile(filePath)
+      ? componentResult.fixesByFile[filePath] || []
+      : mergeFixes(eslintResult.fixesByFile[filePath], astResult.fixesByFile[filePath]);
+    if (fixes.length > 0) {
+      // Fingerprint fixes so wards can find them even after lines have moved
+      addFingerprints(contents[filePath], fixes, filePath);
+      const relocated = options.wards ? options.wards.relocate(filePath, fixes) : 0;
+      if (relocated > 0) {
+        log(`Relocated ${relocated} ward(s) in ${filePath} to their current position`, 'info');
+      }
+      allFixes.push({ filePath, fileContent: contents[filePath], fixes });
+    }
+  }
+  
+  const failedFiles = [...new Set([...eslintResult.failedFiles, ...astResult.failedFiles, ...componentResult.failedFiles])];
+  return { allFixes, failedFiles };
+}
+
+// Describe every fix found in the given files, including why it would be skipped
+async function collectFindings(filePaths, options = {}, knownContents = {}) {
+  const { allFixes, failedFiles } = await collectFixes(filePaths, options, knownContents);
+  const findings = [];
+  
+  for (const { filePath, fixes } of allFixes) {
+    for (const fix of fixes) {
+      const { original, escaped, kind, loc } = fix;
+      const { status, reason } = classifyFix(filePath, fix, options);
+      
+      // Fixes excluded by --kinds/--only-chars are not part of the results
+      if (status === 'filtered') {
+        continue;
+      }
+      
+      findings.push({
+        id: createFixKey(filePath, fix, options.cwd),
+        filePath,
+        line: loc.start.line,
+        column: loc.start.column,
+        endLine: loc.end.line,
+        endColumn: loc.end.column,
+        entity: original,
+        escaped,
+        kind,
+        source: fix.source,
+        range: fix.range,
+        status,
+        warded: status === 'warded',
+        autoSkipReason: status === 'auto-skipped' ? reason : null
+      });
+    }
+  }
+  
+  return { findings, failedFiles };
+}
+
+// Report every pending fix without prompting or modifying any files
+async function checkFiles(filePaths, options = {}, knownContents = {}) {
+  const { findings, failedFiles } = await collectFindings(filePaths, options, knownContents);
+  const pending = findings.filter(finding => finding.status === 'pending');
+  const pendingFixes = pending.length;
+  const filesWithFixes = new Set(pending.map(finding => finding.filePath)).size;
+  
+  // Machine-readable formats get the full result set, including skipped fixes
+  if (options.format && options.format !== 'text') {
+    writeReport(options.format, findings, {
+      outputFile: options.outputFile,
+      scannedFiles: filePaths
+    });
+    return { pendingFixes, filesWithFixes, failedFiles };
+  }
+  
+  for (const finding of findings) {
+    const { filePath, line, column, entity, escaped, status } = finding;
+    
+    // Warded and auto-skipped fixes are not pending
+    if (status !== 'pending') {
+      if (options.verbose) {
+        const reason = finding.autoSkipReason || 'Previously rejected';
+        log(`Skipping ${status} fix in ${filePath}:${line}:${column} (${reason})`, 'skip');
+      }
+      continue;
+    }
+    
+    const relativePath = path.relative(process.cwd(), filePath);
+    console.log(`${chalk.yellow(`${relativePath}:${line}:${column}`)}  ${entity} -> ${chalk.green(escaped)}`);
+  }
+  
+  if (pendingFixes > 0) {
+    log(`\n✗ ${pendingFixes} unescaped entities need fixing in ${filesWithFixes} files`, 'error');
+  } else if (failedFiles.length === 0) {
+    log('\n✓ No unescaped entities need fixing', 'success');
+  }
+  // Files that couldn't be read or parsed weren't checked, so the run can't be called clean
+  if (failedFiles.length > 0) {
+    log(`✗ ${failedFiles.length} files could not be checked - see the errors above`, 'error');
+  }
+  
+  return { pendingFixes, filesWithFixes, failedFiles };
+}
+
+// Print what an unattended run did with each fix
+function printSummary(summary) {
+  const formatEntry = ({ filePath, line, column, original, escaped, reason }) => {
+    const location = `${path.relative(process.cwd(), filePath)}:${line}:${column}`;
+    return reason
+      ? `  ${location}  ${original} (${reason})`
+      : `  ${location}  ${original} -> ${escaped}`;
+  };
+  
+  log('\nSummary:', 'info');
+  log(`Applied: ${summary.applied.length}`, 'success');
+  summary.applied.forEach(entry => print(formatEntry(entry)));
+  log(`Auto-skipped: ${summary.autoSkipped.length}`, 'skip');
+  summary.autoSkipped.forEach(entry => print(formatEntry(entry)));
+  log(`Previously warded: ${summary.warded.length}`, 'skip');
+  summary.warded.forEach(entry => print(formatEntry(entry)));
+  if (summary.filtered.length > 0) {
+    log(`Filtered out: ${summary.filtered.length}`, 'skip');
+  }
 }
 
 // Process all files
-async function processFiles(filePaths) {
+async function processFiles(filePaths, options = {}) {
   let allFixes = [];
   let totalFixesApplied = 0;
+  let failed = false;
+  const summary = createSummary();
+  const fileModTimes = {};
   
-  // Use ESLint to find errors
+  // Find fixes with the selected engine; files that couldn't be read or parsed fail the run
   try {
-    const escapeErrors = await runESLintForEscapeErrors(filePaths, verbose);
-    if (escapeErrors.length > 0) {
-      // Group errors by file
-      const errorsByFile = escapeErrors.reduce((acc, error) => {
-        if (!acc[error.filePath]) {
-          acc[error.filePath] = [];
-        }
-        acc[error.filePath].push(error);
-        return acc;
-      }, {});
-      
-      // Process each file's errors
-      for (const [filePath, errors] of Object.entries(errorsByFile)) {
-        try {
-          const fileContent = readFileWithSizeCheck(filePath);
-          const fixes = convertEslintErrorsToFixes(errors, fileContent);
-          if (fixes.length > 0) {
-            allFixes.push({ filePath, fileContent, fixes });
-          }
-        } catch (error) {
-          log(`Error reading file ${filePath}: ${error.message}`, 'error');
-        }
-      }
-      log(`Found ${escapeErrors.length} unescaped entities via ESLint`, 'info');
-    } else {
-      log('No unescaped entities found by ESLint', 'info');
-    }
+    let failedFiles;
+    ({ allFixes, failedFiles } = await collectFixes(filePaths, options));
+    failed = failedFiles.length > 0;
   } catch (error) {
-    log(`ESLint check failed: ${error.message}`, 'error');
-    if (verbose) {
-      console.error(error);
-    }
-    return; // Exit if ESLint fails - we don't want to proceed without it
+    // The engine has already reported the failure - we don't want to proceed without it
+    return { failed: true, totalFixesApplied, summary };
   }
   
   // Process each file's fixes
   for (const { filePath, fileContent, fixes } of allFixes) {
     try {
-      const result = await processFileFixes(filePath, fileContent, fixes);
+      const appliedBefore = summary.applied.length;
+      const result = await processFileFixes(filePath, fileContent, fixes, options, summary, fileModTimes);
       if (result && result.changed) {
-        totalFixesApplied++;
+        totalFixesApplied += summary.applied.length - appliedBefore;
+      } else {
+        // Nothing was written, so nothing from this file counts as applied
+        summary.applied.length = appliedBefore;
+      }
+      // A file whose fixes couldn't be saved fails the run, e.g. so a --fix hook blocks the commit
+      if (result && result.failed) {
+        failed = true;
+      }
+      if (result && result.quit) {
+        log('Saving rejection history and exiting...', 'info');
+        break;
       }
     } catch (error) {
       log(`Error processing fixes in ${filePath}: ${error.message}`, 'error');
+      failed = true;
     }
   }
 
   // Show completion message
-  if (totalFixesApplied > 0) {
+  if (totalFixesApplied > 0 && options.dryRun) {
+    log(`\n✓ Would apply ${totalFixesApplied} fixes (dry run - no files were modified)`, 'success');
+  } else if (totalFixesApplied > 0) {
     log(`\n✓ Successfully applied ${totalFixesApplied} fixes`, 'success');
   } else if (allFixes.length > 0) {
     log('\nNo fixes were applied', 'info');
   }
+  if (failed) {
+    log('Some files could not be fixed - see the errors above', 'error');
+  }
+  
+  if (options.yes) {
+    printSummary(summary);
+  }
+  
+  // Emit the collected patch instead of having touched any files
+  if (options.dryRun) {
+    outputPatch(summary.patches, options.patchFile);
+  }
+  
+  // Save any pending rejected fixes
+  if (options.wards) {
+    options.wards.save();
+  }
+  
+  return { failed, totalFixesApplied, summary };
+}
+
+// Apply every fix that passes the filters to source that isn't read from disk (--stdin)
+// Nothing is prompted for or written; returns the fixed source
+async function fixText(filePath, fileContent, options = {}) {
+  const absolutePath = path.resolve(filePath);
+  const summary = createSummary();
+  const { allFixes, failedFiles } = await collectFixes([absolutePath], options, { [absolutePath]: fileContent });
+  
+  let output = fileContent;
+  let failed = failedFiles.length > 0;
+  for (const { fixes } of allFixes) {
+    const result = await processFileFixes(absolutePath, fileContent, fixes, { ...options, yes: true, stdin: true }, summary);
+    if (result.changed) {
+      output = result.content;
+    }
+    failed = failed || Boolean(result.failed);
+  }
   
-  // Save any pending rejected fixes before exiting
-  saveRejectedFixes();
-  process.exit(0);
+  log(`Applied ${summary.applied.length} fixes to ${filePath}`, 'info');
+  return { output, summary, failed };
 }
 
 module.exports = {
-  processFiles
-}; 
\ No newline at end of file
+  processFiles,
+  fixText,
+  getFileTextRanges,
+  getUnappliableReason,
+  checkFiles,
+  collectFixes,
+  collectFindings,
+  classifyFix
+}; 
@@ -0,0 +1,40 @@
+const { xmlAttributes, describeFinding } = require('./utils');
+
+// Report pending findings as Checkstyle XML
+function checkstyleReporter(findings) {
+  // Checkstyle has no notion of suppression, so only pending findings are reported
+  const findingsByFile = new Map();
+  for (const finding of findings) {
+    if (finding.status !== 'pending') {
+      continue;
+    }
+    if (!findingsByFile.has(finding.filePath)) {
+      findingsByFile.set(finding.filePath, []);
+    }
+    findingsByFile.get(finding.filePath).push(finding);
+  }
+  
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<checkstyle version="4.3">'
+  ];
+  
+  for (const [filePath, fileFindings] of findingsByFile) {
+    lines.push(`  <file${xmlAttributes({ name: filePath })}>`);
+    for (const finding of fileFindings) {
+      lines.push(`    <error${xmlAttributes({
+        line: finding.line,
+        column: finding.column,
+        severity: 'error',
+        message: describeFinding(finding),
+        source: 'literal-hell.unescaped-entity'
+      })}/>`);
+    }
+    lines.push('  </file>');
+  }
+  
+  lines.push('</checkstyle>');
+  return lines.join('\n');
+}
+
+module.exports = checkstyleReporter;
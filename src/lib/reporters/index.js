@@ -0,0 +1,54 @@
+const fs = require('fs');
+const path = require('path');
+const { VERSION } = require('../config');
+const { log } = require('../logger');
+
+// Built-in reporters, keyed by --format name
+const REPORTERS = {
+  json: require('./json'),
+  sarif: require('./sarif'),
+  junit: require('./junit'),
+  checkstyle: require('./checkstyle')
+};
+
+// Get a built-in reporter by name, or load a custom reporter module from a path
+function getReporter(format) {
+  if (REPORTERS[format]) {
+    return REPORTERS[format];
+  }
+  
+  // Anything that looks like a path is treated as a custom reporter module
+  if (format.includes('/') || format.includes('\\') || format.endsWith('.js')) {
+    const reporter = require(path.resolve(process.cwd(), format));
+    if (typeof reporter !== 'function') {
+      throw new Error(`Custom reporter ${format} must export a function`);
+    }
+    return reporter;
+  }
+  
+  throw new Error(`Unknown format "${format}". Expected text, ${Object.keys(REPORTERS).join(', ')} or a path to a reporter module`);
+}
+
+// Render findings with the requested reporter and print or save the result
+function writeReport(format, findings, { outputFile = null, scannedFiles = [] } = {}) {
+  const reporter = getReporter(format);
+  const report = reporter(findings, {
+    cwd: process.cwd(),
+    version: VERSION,
+    scannedFiles
+  });
+  
+  if (outputFile) {
+    fs.writeFileSync(outputFile, report, 'utf8');
+    log(`✓ Wrote ${format} report to ${outputFile}`, 'success');
+    return;
+  }
+  
+  process.stdout.write(report.endsWith('\n') ? report : `${report}\n`);
+}
+
+module.exports = {
+  REPORTERS,
+  getReporter,
+  writeReport
+};
@@ -0,0 +1,29 @@
+const { toRelativePath } = require('./utils');
+
+// Report findings as a JSON document
+function jsonReporter(findings, { cwd, version, scannedFiles }) {
+  const results = findings.map(finding => ({
+    file: toRelativePath(finding.filePath, cwd),
+    line: finding.line,
+    column: finding.column,
+    endLine: finding.endLine,
+    endColumn: finding.endColumn,
+    entity: finding.entity,
+    escaped: finding.escaped,
+    kind: finding.kind,
+    source: finding.source,
+    status: finding.status,
+    warded: finding.warded,
+    autoSkipReason: finding.autoSkipReason
+  }));
+  
+  return JSON.stringify({
+    tool: 'literal-hell',
+    version,
+    scannedFiles: scannedFiles.length,
+    pending: findings.filter(finding => finding.status === 'pending').length,
+    results
+  }, null, 2);
+}
+
+module.exports = jsonReporter;
@@ -0,0 +1,55 @@
+const { escapeXml, xmlAttributes, toRelativePath, describeFinding, skipReason } = require('./utils');
+
+// Report findings as JUnit XML, with one test suite per file
+function junitReporter(findings, { cwd }) {
+  // Group findings by file
+  const findingsByFile = new Map();
+  for (const finding of findings) {
+    const file = toRelativePath(finding.filePath, cwd);
+    if (!findingsByFile.has(file)) {
+      findingsByFile.set(file, []);
+    }
+    findingsByFile.get(file).push(finding);
+  }
+  
+  const totalFailures = findings.filter(finding => finding.status === 'pending').length;
+  const totalSkipped = findings.length - totalFailures;
+  
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites${xmlAttributes({ name: 'literal-hell', tests: findings.length, failures: totalFailures, skipped: totalSkipped })}>`
+  ];
+  
+  for (const [file, fileFindings] of findingsByFile) {
+    const failures = fileFindings.filter(finding => finding.status === 'pending').length;
+    lines.push(`  <testsuite${xmlAttributes({
+      name: file,
+      tests: fileFindings.length,
+      failures,
+      skipped: fileFindings.length - failures,
+      errors: 0
+    })}>`);
+    
+    for (const finding of fileFindings) {
+      const name = `${file}:${finding.line}:${finding.column} ${finding.entity}`;
+      lines.push(`    <testcase${xmlAttributes({ name, classname: file })}>`);
+      
+      const reason = skipReason(finding);
+      if (reason) {
+        lines.push(`      <skipped${xmlAttributes({ message: reason })}/>`);
+      } else {
+        const message = describeFinding(finding);
+        lines.push(`      <failure${xmlAttributes({ message, type: finding.kind })}>${escapeXml(`${message} at ${file}:${finding.line}:${finding.column}`)}</failure>`);
+      }
+      
+      lines.push('    </testcase>');
+    }
+    
+    lines.push('  </testsuite>');
+  }
+  
+  lines.push('</testsuites>');
+  return lines.join('\n');
+}
+
+module.exports = junitReporter;
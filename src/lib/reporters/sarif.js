@@ -0,0 +1,98 @@
+const { toRelativePath, describeFinding, skipReason } = require('./utils');
+
+const RULE_ID = 'literal-hell/unescaped-entity';
+
+// Get the region a fix replaces, which is the finding's content range: a string literal is
+// reported from quote to quote, but only the text between its quotes is replaced
+function getReplacedRegion(finding, region) {
+  const quotes = finding.kind === 'string-literal' ? 1 : 0;
+  return {
+    startLine: region.startLine,
+    startColumn: region.startColumn + quotes,
+    endLine: region.endLine,
+    endColumn: region.endColumn - quotes,
+    charOffset: finding.range[0],
+    charLength: finding.range[1] - finding.range[0]
+  };
+}
+
+// Report findings as a SARIF 2.1.0 log for code-scanning dashboards
+function sarifReporter(findings, { cwd, version }) {
+  const results = findings.map(finding => {
+    const uri = toRelativePath(finding.filePath, cwd);
+    const region = {
+      startLine: finding.line,
+      startColumn: finding.column,
+      endLine: finding.endLine,
+      endColumn: finding.endColumn
+    };
+    const result = {
+      ruleId: RULE_ID,
+      ruleIndex: 0,
+      level: 'error',
+      message: { text: describeFinding(finding) },
+      locations: [{
+        physicalLocation: {
+          artifactLocation: { uri, uriBaseId: '%SRCROOT%' },
+          region
+        }
+      }],
+      fixes: [{
+        description: { text: `Replace with ${finding.escaped}` },
+        artifactChanges: [{
+          artifactLocation: { uri, uriBaseId: '%SRCROOT%' },
+          replacements: [{
+            deletedRegion: getReplacedRegion(finding, region),
+            insertedContent: { text: finding.escaped }
+          }]
+        }]
+      }],
+      properties: {
+        entity: finding.entity,
+        escaped: finding.escaped,
+        kind: finding.kind,
+        source: finding.source,
+        status: finding.status
+      }
+    };
+    
+    // Warded and auto-skipped findings are reported as suppressed
+    const reason = skipReason(finding);
+    if (reason) {
+      result.suppressions = [{
+        kind: 'external',
+        justification: reason
+      }];
+    }
+    
+    return result;
+  });
+  
+  return JSON.stringify({
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: 'literal-hell',
+          version,
+          informationUri: 'https://github.com/claren/literal-hell',
+          rules: [{
+            id: RULE_ID,
+            name: 'UnescapedEntity',
+            shortDescription: { text: 'Unescaped HTML entity in markup' },
+            fullDescription: { text: 'Characters such as quotes and apostrophes should be escaped as HTML entities in JSX text.' },
+            helpUri: 'https://github.com/claren/literal-hell',
+            defaultConfiguration: { level: 'error' }
+          }]
+        }
+      },
+      originalUriBaseIds: {
+        '%SRCROOT%': { uri: `file://${cwd.split('\\').join('/').replace(/\/?$/, '/')}` }
+      },
+      results
+    }]
+  }, null, 2);
+}
+
+module.exports = sarifReporter;
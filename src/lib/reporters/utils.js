@@ -0,0 +1,52 @@
+const path = require('path');
+
+// Characters that must be escaped in XML text and attribute values
+const XML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&apos;'
+};
+
+// Escape a value for use in XML text or attributes
+function escapeXml(value) {
+  return String(value).replace(/[&<>"']/g, c => XML_ESCAPES[c]);
+}
+
+// Build an attribute string from an object, skipping null/undefined values
+function xmlAttributes(attributes) {
+  return Object.entries(attributes)
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([name, value]) => ` ${name}="${escapeXml(value)}"`)
+    .join('');
+}
+
+// Get a finding's file path relative to the working directory, with forward slashes
+function toRelativePath(filePath, cwd = process.cwd()) {
+  return path.relative(cwd, filePath).split(path.sep).join('/');
+}
+
+// Describe a finding in a single human-readable sentence
+function describeFinding(finding) {
+  return `Unescaped \`${finding.entity}\` should be escaped as \`${finding.escaped}\``;
+}
+
+// Explain why a finding will not be fixed, if it won't be
+function skipReason(finding) {
+  if (finding.warded) {
+    return 'Previously rejected (warded)';
+  }
+  if (finding.autoSkipReason) {
+    return `Auto-skipped: ${finding.autoSkipReason}`;
+  }
+  return null;
+}
+
+module.exports = {
+  escapeXml,
+  xmlAttributes,
+  toRelativePath,
+  describeFinding,
+  skipReason
+};
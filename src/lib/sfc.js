@@ -0,0 +1,562 @@
+const path = require('path');
+const babelParser = require('@babel/parser');
+const { parseFile, findStringFixes, getTextRanges } = require('./ast');
+const { getEscapeFor } = require('./escape');
+const { DEFAULT_FORBIDDEN_ENTITIES } = require('./config');
+const { getSmartQuote } = require('./typography');
+const { getLineOffsets, toLineColumn } = require('./edits');
+const { parseDirective, isSuppressed } = require('./suppressions');
+
+// Single-file components: Vue, Svelte and Astro files mix markup with script blocks (and, in Astro,
+// JSX expressions). Code is checked like any JS/TS file; markup with each framework's own rules.
+// MDX mixes Markdown with JSX the same way: its JSX is checked, its prose is left alone.
+
+// What each framework needs escaped in template text, on top of the quotes literal-hell always escapes:
+// a `<` that doesn't start a tag, and where `{` starts an expression, a `}` that doesn't close one
+const FRAMEWORKS = {
+  vue: { interpolation: ['{{', '}}'], text: ['<'] },
+  svelte: { interpolation: ['{', '}'], text: ['<', '}'] },
+  // Astro expressions can hold JSX, so they're parsed and checked like JSX
+  astro: { interpolation: ['{', '}'], text: ['<', '}'], parseExpressions: true },
+  // Text inside MDX's JSX elements is JSX text, so it gets the JSX rules instead
+  mdx: { interpolation: ['{', '}'], text: [], parseExpressions: true, jsxText: true }
+};
+
+const QUOTES = ["'", '"'];
+
+// Elements whose content isn't markup
+const RAW_TEXT_ELEMENTS = ['script', 'style'];
+
+// Get the framework of a component file, or null for other files
+function getFramework(filePath) {
+  const extension = path.extname(filePath || '').slice(1);
+  return FRAMEWORKS[extension] ? extension : null;
+}
+
+// Check whether a file is a Vue, Svelte or Astro component, or an MDX file
+function isComponentFile(filePath) {
+  return getFramework(filePath) !== null;
+}
+
+// Find the end of a JS expression starting at offset, skipping strings, template literals and
+// comments and counting nested braces; returns the offset of the closing `}`, or -1
+function findClosingBrace(content, offset) {
+  let depth = 0;
+  for (let i = offset; i < content.length; i++) {
+    const char = content[i];
+    if (char === '"' || char === "'" || char === '`') {
+      i++;
+      while (i < content.length && content[i] !== char) {
+        i += content[i] === '\\' ? 2 : 1;
+      }
+    } else if (content.startsWith('//', i)) {
+      i = content.indexOf('\n', i);
+      if (i === -1) {
+        return -1;
+      }
+    } else if (content.startsWith('/*', i)) {
+      i = content.indexOf('*/', i + 2);
+      if (i === -1) {
+        return -1;
+      }
+      i++;
+    } else if (char === '{') {
+      depth++;
+    } else if (char === '}') {
+      if (depth === 0) {
+        return i;
+      }
+      depth--;
+    }
+  }
+  return -1;
+}
+
+// Find the `}` closing the expression that opens at offset (the `{`)
+// JSX text in an Astro expression can hold apostrophes, so Babel finds its end: it stops at the `}`
+function findExpressionEnd(content, offset, framework) {
+  if (FRAMEWORKS[framework].parseExpressions) {
+    try {
+      babelParser.parseExpression(content.substring(offset + 1), { plugins: ['jsx', 'typescript'] });
+    } catch (error) {
+      const end = offset + 1 + error.pos;
+      if (content[end] === '}') {
+        return end;
+      }
+    }
+  }
+  return findClosingBrace(content, offset + 1);
+}
+
+// Find where an element that starts at offset ends: after its matching closing tag, counting nested
+// elements with the same name (Vue's <template> can hold more <template>s)
+function findElementEnd(content, offset, name) {
+  const tagPattern = new RegExp(`<(/?)${name}(?=[\\s/>])[^>]*>`, 'gi');
+  tagPattern.lastIndex = offset;
+  let depth = 0;
+  let match;
+  while ((match = tagPattern.exec(content))) {
+    if (match[1]) {
+      depth--;
+    } else if (!match[0].endsWith('/>')) {
+      depth++;
+    }
+    if (depth === 0) {
+      return { contentEnd: match.index, end: tagPattern.lastIndex };
+    }
+  }
+  return { contentEnd: content.length, end: content.length };
+}
+
+// Read a tag starting at offset: its name, whether it closes or self-closes, and its quoted
+// attribute values; returns null if offset doesn't start a tag
+function readTag(content, offset, framework) {
+  const match = content.substring(offset, offset + 100).match(/^<(\/?)([A-Za-z][\w:.-]*)/);
+  if (!match) {
+    return null;
+  }
+  const tag = { name: match[2], closing: !!match[1], selfClosing: false, attributes: [], end: content.length };
+  const { interpolation } = FRAMEWORKS[framework];
+  
+  let i = offset + match[0].length;
+  while (i < content.length) {
+    const char = content[i];
+    if (char === '>') {
+      tag.end = i + 1;
+      return tag;
+    }
+    if (content.startsWith('/>', i)) {
+      tag.selfClosing = true;
+      tag.end = i + 2;
+      return tag;
+    }
+    
+    if (interpolation[0] === '{' && char === '{') {
+      // Spread and shorthand attributes, and expression values: attr={...}
+      const end = findExpressionEnd(content, i, framework);
+      i = end === -1 ? content.length : end + 1;
+    } else if (char === '"' || char === "'") {
+      i = readAttributeValue(content, i, framework, tag.attributes);
+    } else {
+      i++;
+    }
+  }
+  return tag;
+}
+
+// Read a quoted attribute value starting at its opening quote, adding it to attributes
+// A quote that "closes" the value but is followed by more of the attribute (alt='Carter's photo')
+// is an unescaped quote inside the value, which HTML needs escaped; returns the offset after the value
+function readAttributeValue(content, offset, framework, attributes) {
+  const quote = content[offset];
+  const value = { start: offset + 1, end: content.length, strays: [] };
+  const { interpolation } = FRAMEWORKS[framework];
+  
+  let i = offset + 1;
+  while (i < content.length) {
+    // Svelte interpolates expressions in quoted values, and quotes inside them don't end the value
+    if (framework === 'svelte' && content[i] === interpolation[0]) {
+      const end = findExpressionEnd(content, i, framework);
+      i = end === -1 ? content.length : end + 1;
+      continue;
+    }
+    if (content[i] === quote) {
+      const next = content[i + 1];
+      if (next !== undefined && /[^\s/>]/.test(next) && content.indexOf(quote, i + 1) !== -1 &&
+          content.indexOf(quote, i + 1) < content.indexOf('>', i + 1)) {
+        value.strays.push(i);
+        i++;
+        continue;
+      }
+      value.end = i;
+      attributes.push(value);
+      return i + 1;
+    }
+    i++;
+  }
+  attributes.push(value);
+  return i;
+}
+
+// Record a directive comment (<!-- literal-hell-ignore -->, or {/* ... */} in Svelte and Astro)
+// Returns the directive if it's an ignore directive for the text that follows
+function addCommentDirective(scan, text, endOffset, lineOffsets) {
+  const directive = parseDirective(text);
+  if (!directive) {
+    return null;
+  }
+  if (directive.type === 'ignore-next-line') {
+    scan.suppressions.push({ type: 'line', chars: directive.chars, line: toLineColumn(lineOffsets, endOffset).line + 1 });
+  } else if (directive.type === 'disable') {
+    scan.suppressions.push({ type: 'file', chars: directive.chars });
+  }
+  return directive.type === 'ignore' ? directive : null;
+}
+
+// Read the interpolation ({{ }} or { }) starting at offset, adding it to the code regions when the
+// framework's expressions are checked, or recording it if it's only a directive comment
+// Returns { end, ignore }: the offset after it, and an ignore directive for the text that follows
+function readInterpolation(content, offset, end, framework, scan, lineOffsets) {
+  const { interpolation, parseExpressions } = FRAMEWORKS[framework];
+  const close = interpolation[0] === '{'
+    ? findExpressionEnd(content, offset, framework)
+    : content.indexOf(interpolation[1], offset + interpolation[0].length);
+  const expressionEnd = close === -1 ? end : close + interpolation[1].length;
+  
+  const inner = content.substring(offset + interpolation[0].length, close === -1 ? end : close).trim();
+  const comment = inner.match(/^\/\*([\s\S]*)\*\/$/);
+  if (comment) {
+    return { end: expressionEnd, ignore: addCommentDirective(scan, comment[1], expressionEnd, lineOffsets) };
+  }
+  if (parseExpressions && close !== -1) {
+    scan.code.push({ start: offset, end: expressionEnd, expression: true });
+  }
+  return { end: expressionEnd, ignore: null };
+}
+
+// Scan markup between start and end for text, attribute values, code and directive comments
+function scanTemplate(content, start, end, framework, scan, lineOffsets) {
+  const { interpolation } = FRAMEWORKS[framework];
+  let textStart = start;
+  let ignoreNext = null;
+  
+  // Close the text run before offset; an ignore directive applies to the next non-blank one
+  const endText = offset => {
+    if (offset > textStart) {
+      scan.text.push([textStart, offset]);
+      if (ignoreNext && content.substring(textStart, offset).trim()) {
+        scan.suppressions.push({ type: 'range', chars: ignoreNext.chars, range: [textStart, offset] });
+        ignoreNext = null;
+      }
+    }
+  };
+  
+  let i = start;
+  while (i < end) {
+    if (content.startsWith('<!--', i)) {
+      endText(i);
+      const close = content.indexOf('-->', i + 4);
+      const commentEnd = close === -1 ? end : close + 3;
+      ignoreNext = addCommentDirective(scan, content.substring(i + 4, close === -1 ? end : close), commentEnd, lineOffsets) || ignoreNext;
+      i = textStart = commentEnd;
+      continue;
+    }
+    
+    if (content.startsWith(interpolation[0], i)) {
+      endText(i);
+      const expression = readInterpolation(content, i, end, framework, scan, lineOffsets);
+      ignoreNext = expression.ignore || ignoreNext;
+      i = textStart = expression.end;
+      continue;
+    }
+    
+    const tag = content[i] === '<' ? readTag(content, i, framework) : null;
+    if (content.startsWith('<!', i) || tag) {
+      endText(i);
+      if (!tag) {
+        // <!DOCTYPE html> and the like
+        const close = content.indexOf('>', i);
+        i = textStart = close === -1 ? end : close + 1;
+        continue;
+      }
+      scan.attributes.push(...tag.attributes);
+      i = textStart = Math.min(tag.end, end);
+      
+      // Script and style content isn't markup; scripts are checked as code
+      const name = tag.name.toLowerCase();
+      if (!tag.closing && !tag.selfClosing && RAW_TEXT_ELEMENTS.includes(name)) {
+        const close = content.toLowerCase().indexOf(`</${name}`, i);
+        const contentEnd = close === -1 ? end : close;
+        if (name === 'script') {
+          scan.code.push({ start: i, end: contentEnd, expression: false });
+        }
+        i = textStart = contentEnd;
+      }
+      continue;
+    }
+    
+    i++;
+  }
+  endText(end);
+}
+
+// Scan an MDX file: frontmatter, code blocks, inline code and prose are left alone, import/export
+// blocks and { } expressions are code, and text inside JSX elements (including inline ones) is JSX text
+function scanMdx(content, scan, lineOffsets) {
+  const end = content.length;
+  // Names of the JSX elements we're inside; '' for fragments
+  const open = [];
+  let textStart = 0;
+  let ignoreNext = null;
+  
+  // Close the text run before offset; only text inside a JSX element is recorded
+  const endText = offset => {
+    if (offset > textStart && open.length > 0) {
+      scan.text.push([textStart, offset]);
+      if (ignoreNext && content.substring(textStart, offset).trim()) {
+        scan.suppressions.push({ type: 'range', chars: ignoreNext.chars, range: [textStart, offset] });
+        ignoreNext = null;
+      }
+    }
+  };
+  
+  // Frontmatter is data, never code or text
+  let i = 0;
+  const frontmatter = content.match(/^---\r?\n[\s\S]*?^---[^\S\n]*$/m);
+  if (frontmatter && frontmatter.index === 0) {
+    i = textStart = frontmatter[0].length;
+  }
+  
+  while (i < end) {
+    const atLineStart = i === 0 || content[i - 1] === '\n';
+    
+    // Fenced code blocks, wherever they are, up to a closing fence at least as long
+    const fencePattern = /[^\S\n]*(`{3,}|~{3,})/y;
+    fencePattern.lastIndex = i;
+    const fence = atLineStart && fencePattern.exec(content);
+    if (fence) {
+      endText(i);
+      const [marker] = fence[1];
+      const closePattern = new RegExp(`^[^\\S\\n]*\\${marker}{${fence[1].length},}[^\\S\\n]*$`, 'mg');
+      closePattern.lastIndex = content.indexOf('\n', i) === -1 ? end : content.indexOf('\n', i) + 1;
+      const close = closePattern.exec(content);
+      i = textStart = close ? close.index + close[0].length : end;
+      continue;
+    }
+    
+    // import/export blocks run until a blank line
+    if (atLineStart && open.length === 0 && /^(import|export)\s/.test(content.substring(i, i + 7))) {
+      const blank = content.substring(i).search(/\n[^\S\n]*\n/);
+      const blockEnd = blank === -1 ? end : i + blank + 1;
+      scan.code.push({ start: i, end: blockEnd, expression: false });
+      i = textStart = blockEnd;
+      continue;
+    }
+    
+    const char = content[i];
+    
+    // Markdown escapes like \{ and inline code are text that's already fine as it is
+    if (char === '\\') {
+      endText(i);
+      i = textStart = i + 2;
+      continue;
+    }
+    if (char === '`') {
+      const run = content.substring(i).match(/^`+/)[0];
+      const close = content.indexOf(run, i + run.length);
+      if (close !== -1) {
+        endText(i);
+        i = textStart = close + run.length;
+        continue;
+      }
+      i += run.length;
+      continue;
+    }
+    
+    if (char === '{') {
+      endText(i);
+      const expression = readInterpolation(content, i, end, 'mdx', scan, lineOffsets);
+      ignoreNext = expression.ignore || ignoreNext;
+      i = textStart = expression.end;
+      continue;
+    }
+    
+    if (char === '<') {
+      // Autolinks like <https://example.com> and <me@example.com> are Markdown, not JSX
+      const autolink = content.substring(i, i + 500).match(/^<([A-Za-z][\w+.-]*:[^\s<>]*|[^\s<>@]+@[^\s<>]+)>/);
+      const fragment = content.substring(i, i + 3).match(/^<\/?>/);
+      const tag = autolink || fragment ? null : readTag(content, i, 'mdx');
+      if (autolink || fragment || tag) {
+        endText(i);
+        if (autolink) {
+          i = textStart = i + autolink[0].length;
+          continue;
+        }
+        
+        const name = tag ? tag.name : '';
+        const closing = tag ? tag.closing : fragment[0] === '</>';
+        if (tag) {
+          scan.attributes.push(...tag.attributes);
+        }
+        if (closing && open.lastIndexOf(name) !== -1) {
+          open.length = open.lastIndexOf(name);
+        } else if (!closing && !(tag && tag.selfClosing)) {
+          open.push(name);
+        }
+        i = textStart = tag ? tag.end : i + fragment[0].length;
+        continue;
+      }
+    }
+    
+    i++;
+  }
+  endText(end);
+}
+
+// Split a component into the parts literal-hell checks
+// Returns { code, text, attributes, suppressions }: code regions ({ start, end, expression }), template
+// text ranges, quoted attribute values ({ start, end, strays }) and directive comments in the markup
+function scanComponent(content, framework) {
+  const scan = { code: [], text: [], attributes: [], suppressions: [] };
+  const lineOffsets = getLineOffsets(content);
+  
+  if (framework === 'mdx') {
+    scanMdx(content, scan, lineOffsets);
+    return scan;
+  }
+  
+  if (framework === 'vue') {
+    // Only the <template> and <script> blocks; <style> and custom blocks aren't checked
+    const blockPattern = /<(template|script|style|[A-Za-z][\w-]*)(\s[^>]*)?>/g;
+    let match;
+    while ((match = blockPattern.exec(content))) {
+      const [openTag, name, attributes = ''] = match;
+      if (openTag.endsWith('/>')) {
+        continue;
+      }
+      const { contentEnd, end } = findElementEnd(content, match.index, name);
+      const contentStart = match.index + openTag.length;
+      if (name === 'script') {
+        scan.code.push({ start: contentStart, end: contentEnd, expression: false });
+      } else if (name === 'template' && !/\slang=["']?(?!html\b)\w/.test(attributes)) {
+        scanTemplate(content, contentStart, contentEnd, framework, scan, lineOffsets);
+      }
+      blockPattern.lastIndex = end;
+    }
+    return scan;
+  }
+  
+  // Astro's frontmatter between --- fences is the component script
+  let templateStart = 0;
+  if (framework === 'astro') {
+    const frontmatter = content.match(/^(\s*---\r?\n)([\s\S]*?)^---/m);
+    if (frontmatter && frontmatter.index === 0) {
+      scan.code.push({ start: frontmatter[1].length, end: frontmatter[0].length - 3, expression: false });
+      templateStart = frontmatter[0].length;
+    }
+  }
+  scanTemplate(content, templateStart, content.length, framework, scan, lineOffsets);
+  return scan;
+}
+
+// Copy the content with everything outside a code region blanked out (keeping line breaks), so
+// offsets, lines and columns in the copy are the same as in the file
+// Expressions keep their braces as parentheses, which makes them parse as expression statements
+function maskOutside(content, region) {
+  const blank = text => text.replace(/[^\r\n]/g, ' ');
+  const code = region.expression
+    ? `(${content.substring(region.start + 1, region.end - 1)})`
+    : content.substring(region.start, region.end);
+  return blank(content.substring(0, region.start)) + code + blank(content.substring(region.end));
+}
+
+// Parse each code region of a component, skipping ones Babel can't parse
+function parseCodeRegions(content, scan) {
+  const parsed = [];
+  for (const region of scan.code) {
+    const masked = maskOutside(content, region);
+    try {
+      parsed.push({ masked, ast: parseFile(masked) });
+    } catch (error) {
+      // Like a file that can't be parsed, a region that can't be parsed has nothing to offer
+    }
+  }
+  return parsed;
+}
+
+// Create the fix for a character in template text or an attribute value, or in MDX's JSX text (jsx)
+// text is the surrounding text, used to tell opening quotes from closing ones in smart quotes mode
+function createTemplateFix(content, lineOffsets, offset, text, index, options, jsx = false) {
+  const original = content[offset];
+  const isQuote = QUOTES.includes(original);
+  const alternatives = DEFAULT_FORBIDDEN_ENTITIES[original] || [];
+  const escaped = isQuote && options.smartQuotes && options.smartQuotes !== 'off'
+    ? getSmartQuote(text, index, options.smartQuotes)
+    : getEscapeFor(original, options, { jsx, alternatives });
+  const { line, column } = toLineColumn(lineOffsets, offset);
+  
+  return {
+    type: 'fix',
+    original,
+    escaped,
+    escapedChars: [original],
+    // Columns are 1-based, like ESLint's
+    loc: {
+      start: { line, column: column + 1 },
+      end: { line, column: column + 2 }
+    },
+    range: [offset, offset + 1],
+    isJsx: jsx,
+    kind: jsx ? 'jsx-text' : 'template-text',
+    // The text or attribute value the character is in, which the auto-skip heuristics look at
+    context: text.trim(),
+    rawValue: original
+  };
+}
+
+// Find the characters that need escaping in a Vue, Svelte or Astro component or an MDX file
+// Fixes have the same shape as findStringFixes', with template ones of kind 'template-text'
+function findComponentFixes(filePath, fileContent, options = {}) {
+  const framework = getFramework(filePath);
+  const { jsxText } = FRAMEWORKS[framework];
+  const scan = scanComponent(fileContent, framework);
+  const lineOffsets = getLineOffsets(fileContent);
+  const forbidden = jsxText ? Object.keys(DEFAULT_FORBIDDEN_ENTITIES) : [...QUOTES, ...FRAMEWORKS[framework].text];
+  const fixes = [];
+  
+  // Script blocks and expressions are checked like any other JS/TS: their string literals only get
+  // fixes with the AST engine and the string-literal kind selected, as in a .jsx file
+  const engine = options.engine || 'eslint';
+  const checkStrings = engine !== 'eslint' && (!options.kinds || options.kinds.includes('string-literal'));
+  for (const { masked, ast } of parseCodeRegions(fileContent, scan)) {
+    fixes.push(...findStringFixes(ast, filePath, masked, options)
+      .filter(fix => checkStrings || fix.kind !== 'string-literal'));
+  }
+  
+  for (const [start, end] of scan.text) {
+    const text = fileContent.substring(start, end);
+    for (let index = 0; index < text.length; index++) {
+      if (forbidden.includes(text[index])) {
+        fixes.push(createTemplateFix(fileContent, lineOffsets, start + index, text, index, options, jsxText));
+      }
+    }
+  }
+  
+  for (const { start, end, strays } of scan.attributes) {
+    const text = fileContent.substring(start, end);
+    for (const offset of strays) {
+      fixes.push(createTemplateFix(fileContent, lineOffsets, offset, text, offset - start, options));
+    }
+  }
+  
+  return fixes
+    .filter(fix => !isSuppressed(scan.suppressions, fix))
+    .sort((a, b) => a.range[0] - b.range[0]);
+}
+
+// Collect the ranges fixes may edit in a component: JSX text and string literals in its code,
+// and template text (JSX text in MDX) and attribute values in its markup
+function getComponentTextRanges(filePath, fileContent) {
+  const framework = getFramework(filePath);
+  const scan = scanComponent(fileContent, framework);
+  const attributes = scan.attributes.map(({ start, end }) => [start, end]);
+  const ranges = FRAMEWORKS[framework].jsxText
+    ? { jsxText: [...scan.text], stringLiteral: [], templateText: attributes }
+    : { jsxText: [], stringLiteral: [], templateText: [...scan.text, ...attributes] };
+  
+  for (const { ast } of parseCodeRegions(fileContent, scan)) {
+    const codeRanges = getTextRanges(ast);
+    ranges.jsxText.push(...codeRanges.jsxText);
+    ranges.stringLiteral.push(...codeRanges.stringLiteral);
+  }
+  
+  return ranges;
+}
+
+module.exports = {
+  FRAMEWORKS,
+  isComponentFile,
+  scanComponent,
+  findComponentFixes,
+  getComponentTextRanges
+};
@@ -0,0 +1,103 @@
+const traverse = require('@babel/traverse').default;
+
+// Directive comments, each optionally followed by the characters it applies to:
+//   // literal-hell-ignore-next-line '"
+//   {/* literal-hell-ignore */}
+//   /* literal-hell-disable ' */
+const DIRECTIVE_PATTERN = /^literal-hell-(ignore-next-line|ignore|disable)(?:\s+(.*))?$/;
+
+// Parse a comment's text into a directive, or null if it isn't one
+// An optional "-- explanation" after the directive is ignored, like in ESLint comments
+function parseDirective(text) {
+  const match = text.trim().replace(/\s+--\s.*$/, '').match(DIRECTIVE_PATTERN);
+  if (!match) {
+    return null;
+  }
+  
+  const chars = (match[2] || '').replace(/\s+/g, '');
+  return { type: match[1], chars: chars ? [...new Set(chars)] : null };
+}
+
+// Find the JSX text a {/* literal-hell-ignore */} container applies to: the text right after it
+function getIgnoredJsxRange(path) {
+  const siblings = path.parent.children || [];
+  const next = siblings[siblings.indexOf(path.node) + 1];
+  return next && next.type === 'JSXText' ? [next.start, next.end] : null;
+}
+
+// Collect the suppression comments in a file
+// Returns a list of { type, chars, line?, range? } where type is 'file', 'line' or 'range'
+function getSuppressions(fileContent, ast = null) {
+  // Most files have no directives, so don't bother looking at their comments
+  if (!fileContent.includes('literal-hell-')) {
+    return [];
+  }
+  
+  const suppressions = [];
+  
+  if (!ast) {
+    // Without an AST, fall back to finding line comments and file-level block comments by text
+    fileContent.split('\n').forEach((text, index) => {
+      const comment = text.match(/\/\/(.*)$/) || text.match(/\/\*(.*?)\*\//);
+      const directive = comment && parseDirective(comment[1]);
+      if (directive && directive.type === 'ignore-next-line') {
+        suppressions.push({ type: 'line', chars: directive.chars, line: index + 2 });
+      } else if (directive && directive.type === 'disable') {
+        suppressions.push({ type: 'file', chars: directive.chars });
+      }
+    });
+    return suppressions;
+  }
+  
+  for (const comment of ast.comments || []) {
+    const directive = parseDirective(comment.value);
+    if (!directive) {
+      continue;
+    }
+    if (directive.type === 'ignore-next-line') {
+      suppressions.push({ type: 'line', chars: directive.chars, line: comment.loc.end.line + 1 });
+    } else if (directive.type === 'disable') {
+      suppressions.push({ type: 'file', chars: directive.chars });
+    }
+  }
+  
+  // {/* literal-hell-ignore */} is an expression container holding only the comment
+  traverse(ast, {
+    JSXExpressionContainer(path) {
+      if (path.node.expression.type !== 'JSXEmptyExpression') {
+        return;
+      }
+      for (const comment of path.node.expression.innerComments || []) {
+        const directive = parseDirective(comment.value);
+        const range = directive && directive.type === 'ignore' ? getIgnoredJsxRange(path) : null;
+        if (range) {
+          suppressions.push({ type: 'range', chars: directive.chars, range });
+        }
+      }
+    }
+  });
+  
+  return suppressions;
+}
+
+// Check whether a fix is covered by one of the file's suppression comments
+function isSuppressed(suppressions, fix) {
+  return suppressions.some(suppression => {
+    if (suppression.chars && !fix.escapedChars.every(c => suppression.chars.includes(c))) {
+      return false;
+    }
+    if (suppression.type === 'file') {
+      return true;
+    }
+    if (suppression.type === 'line') {
+      return fix.loc.start.line === suppression.line;
+    }
+    return !!fix.range && fix.range[0] >= suppression.range[0] && fix.range[1] <= suppression.range[1];
+  });
+}
+
+module.exports = {
+  parseDirective,
+  getSuppressions,
+  isSuppressed
+};
@@ -0,0 +1,136 @@
+// Curly quote forms, as HTML entities and as Unicode characters
+const SMART_QUOTES = {
+  entities: {
+    openSingle: '&lsquo;',
+    closeSingle: '&rsquo;',
+    openDouble: '&ldquo;',
+    closeDouble: '&rdquo;'
+  },
+  unicode: {
+    openSingle: '‘',
+    closeSingle: '’',
+    openDouble: '“',
+    closeDouble: '”'
+  }
+};
+
+// Words that start with an elided letter, e.g. 'til or 'em, take an apostrophe (not an opening quote)
+const LEADING_ELISIONS = ['tis', 'twas', 'til', 'em', 'cause', 'bout', 'round', 'n'];
+
+// Characters that can come right before an opening quote or right after a closing one
+const BEFORE_OPENING = /[\s([{—–\-"'“‘]/;
+const AFTER_CLOSING = /[\s.,;:!?)\]}—–\-"'”’]/;
+
+const isWordChar = c => !!c && /[\p{L}\p{N}]/u.test(c);
+
+// Get the JSX text around an offset: everything between the enclosing tag/expression boundaries
+// Returns { text, index } where index is the offset's position within text
+function getTextSegment(content, offset) {
+  let start = offset;
+  while (start > 0 && !'>}'.includes(content[start - 1])) {
+    start--;
+  }
+  
+  let end = offset + 1;
+  while (end < content.length && !'<{'.includes(content[end])) {
+    end++;
+  }
+  
+  return { text: content.substring(start, end), index: offset - start };
+}
+
+// Check whether the single quote at text[index] is an apostrophe: don't, O'Brien, 'til, '90s
+function isApostrophe(text, index) {
+  const prev = text[index - 1];
+  const next = text[index + 1];
+  
+  if (isWordChar(prev) && isWordChar(next)) {
+    return true;
+  }
+  
+  if (!isWordChar(prev) && isWordChar(next)) {
+    const word = text.substring(index + 1).match(/^[\p{L}\p{N}]+/u)[0];
+    return /^\d/.test(word) || LEADING_ELISIONS.includes(word.toLowerCase());
+  }
+  
+  return false;
+}
+
+// Classify every straight quote in text as 'apostrophe', 'open' or 'close'
+// Returns a map from index to kind; nesting is tracked separately for single and double quotes
+function classifyQuotes(text) {
+  const kinds = {};
+  const open = { "'": 0, '"': 0 };
+  
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index];
+    if (char !== "'" && char !== '"') {
+      continue;
+    }
+    
+    if (char === "'" && isApostrophe(text, index)) {
+      kinds[index] = 'apostrophe';
+      continue;
+    }
+    
+    const prev = text[index - 1];
+    const next = text[index + 1];
+    const canOpen = prev === undefined || BEFORE_OPENING.test(prev);
+    const canClose = next === undefined || AFTER_CLOSING.test(next);
+    
+    let kind;
+    if (canOpen && !canClose) {
+      kind = 'open';
+    } else if (canClose && !canOpen) {
+      kind = 'close';
+    } else {
+      // Ambiguous (e.g. said,"hi" or a quote between spaces): close the quote that's open, if any
+      kind = open[char] > 0 ? 'close' : 'open';
+    }
+    
+    if (kind === 'open') {
+      open[char]++;
+    } else if (open[char] > 0) {
+      open[char]--;
+    }
+    kinds[index] = kind;
+  }
+  
+  return kinds;
+}
+
+// Pick the curly form for a quote character of the given kind
+function curlyForm(char, kind, forms) {
+  if (kind === 'open') {
+    return char === "'" ? forms.openSingle : forms.openDouble;
+  }
+  // Apostrophes and closing single quotes share the same glyph
+  return char === "'" ? forms.closeSingle : forms.closeDouble;
+}
+
+// Get the curly replacement for the straight quote at text[index]
+// output is 'entities' (&rsquo;) or 'unicode' (’)
+function getSmartQuote(text, index, output = 'entities') {
+  const forms = SMART_QUOTES[output] || SMART_QUOTES.entities;
+  return curlyForm(text[index], classifyQuotes(text)[index], forms);
+}
+
+// Replace every straight quote in a piece of JSX text with its curly form
+function smartenQuotes(text, output = 'entities') {
+  const forms = SMART_QUOTES[output] || SMART_QUOTES.entities;
+  const kinds = classifyQuotes(text);
+  
+  let result = '';
+  for (let index = 0; index < text.length; index++) {
+    result += kinds[index] ? curlyForm(text[index], kinds[index], forms) : text[index];
+  }
+  return result;
+}
+
+module.exports = {
+  SMART_QUOTES,
+  getTextSegment,
+  classifyQuotes,
+  getSmartQuote,
+  smartenQuotes
+};
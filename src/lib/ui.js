@@ -144,6 +144,19 @@ async function waitForAnyKey(message) {
   });
 }
 
+// Read everything piped to stdin (for --stdin)
+function readStdin() {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    process.stdin.setEncoding('utf8');
+    process.stdin.on('data', chunk => {
+      data += chunk;
+    });
+    process.stdin.on('end', () => resolve(data));
+    process.stdin.on('error', reject);
+  });
+}
+
 // Clean up stdin
 function cleanupStdin() {
   if (process.stdin.isTTY && process.stdin.isRaw) {
@@ -156,5 +169,6 @@ module.exports = {
   getContextLines,
   getSingleKeypress,
   waitForAnyKey,
+  readStdin,
   cleanupStdin
 }; 
\ No newline at end of file
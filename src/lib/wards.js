@@ -0,0 +1,421 @@
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const { EXIT_CODES } = require('./config');
+const { log } = require('./logger');
+const { getArgValue } = require('./cli');
+const { createWardStore } = require('./fixes');
+const { validateOptions, resolveOptions } = require('./options');
+const { collectFixes } = require('./processor');
+const { initESLint } = require('./eslint');
+const { readFileWithSizeCheck, writeFileWithVerification } = require('./file');
+const { getContextLines } = require('./ui');
+const { parseFile, getTextRanges } = require('./ast');
+const { isComponentFile } = require('./sfc');
+const { normalizeContext } = require('./fingerprint');
+const { getLineOffsets, applyEdits } = require('./edits');
+const { createFilePatch, outputPatch } = require('./patch');
+
+const DISABLE_DIRECTIVE = 'eslint-disable-next-line react/no-unescaped-entities';
+
+// Display help for the wards command
+function showWardsHelp() {
+  console.log(chalk.bold('\nliteral-hell wards: manage rejected fixes\n'));
+  console.log('Usage:');
+  console.log('  literal-hell wards <command> [options]');
+  console.log('  literal-hell wards --to-eslint-disable [--dry-run] [--patch <file>]\n');
+  
+  console.log('Commands:');
+  console.log('  list [--file <path>]   List wards with their location, timestamp and reason');
+  console.log('  show <key>             Show a ward and the code around it');
+  console.log('  remove <key>...        Remove wards by key');
+  console.log('  remove --file <path>   Remove every ward in a file or directory');
+  console.log('  remove --pattern <re>  Remove wards whose text or line matches a regular expression');
+  console.log('  prune [--dry-run]      Remove wards a scan no longer finds the text of, or whose file is gone');
+  console.log('  stats                  Count wards per file\n');
+  
+  console.log('Options:');
+  console.log('  --to-eslint-disable    Insert eslint-disable-next-line comments for every ward, then remove the wards');
+  console.log('  --dry-run              Show what would change without modifying anything');
+  console.log('  --engine <engine>      Engine prune scans with (default: your configured engine, with ast added to eslint)');
+  console.log('  --use-project-eslint   Have prune scan with your project\'s ESLint config');
+  console.log('  --patch <file>         Save the --to-eslint-disable diff to <file> (implies --dry-run)\n');
+}
+
+// Group wards by the absolute path of their file
+function groupWardsByFile(wards) {
+  const byFile = {};
+  for (const [key, entry] of Object.entries(wards)) {
+    const filePath = path.resolve(entry.filePath);
+    if (!byFile[filePath]) {
+      byFile[filePath] = [];
+    }
+    byFile[filePath].push({ key, entry });
+  }
+  return byFile;
+}
+
+// Describe a ward on one line: file:line:column and the text it keeps
+function formatWard(key, entry) {
+  const location = chalk.cyan(`${entry.filePath}:${entry.line}:${entry.column}`);
+  const details = [entry.timestamp, entry.reason].filter(Boolean).join('  ');
+  return `${location}  ${entry.original}  ${chalk.gray(details)}\n  ${chalk.gray(key)}`;
+}
+
+// Check whether a ward belongs to a file, or to any file under a directory
+function isWardInPath(entry, targetPath) {
+  const wardPath = path.resolve(entry.filePath);
+  const target = path.resolve(targetPath);
+  return wardPath === target || wardPath.startsWith(`${target}${path.sep}`);
+}
+
+// Get the wards to work on, optionally only those under --file <path>
+function selectWards(args, store) {
+  const file = getArgValue(args, '--file');
+  return Object.entries(store.getAll())
+    .filter(([, entry]) => !file || isWardInPath(entry, file));
+}
+
+// `wards list`: every ward with its timestamp and reason
+function listWards(args, store) {
+  const wards = selectWards(args, store);
+  if (wards.length === 0) {
+    log('No wards found', 'info');
+    return EXIT_CODES.SUCCESS;
+  }
+  
+  wards
+    .sort(([, a], [, b]) => a.filePath.localeCompare(b.filePath) || a.line - b.line)
+    .forEach(([key, entry]) => console.log(formatWard(key, entry)));
+  console.log(`\n${wards.length} ward(s)`);
+  return EXIT_CODES.SUCCESS;
+}
+
+// `wards show <key>`: one ward, its fingerprint and the code around it now
+function showWard(args, store) {
+  const key = args[0];
+  const entry = key && store.getAll()[key];
+  if (!entry) {
+    log(`No ward found with key ${key}`, 'error');
+    return EXIT_CODES.TOOL_ERROR;
+  }
+  
+  console.log(formatWard(key, entry));
+  if (entry.fingerprint) {
+    const { scope, jsxPath, occurrence } = entry.fingerprint;
+    console.log(`  Scope: ${scope || '(top level)'}  JSX: ${jsxPath || '(none)'}  Occurrence: ${occurrence}`);
+  }
+  
+  const filePath = path.resolve(entry.filePath);
+  if (!fs.existsSync(filePath)) {
+    log(`${entry.filePath} no longer exists`, 'warning');
+    return EXIT_CODES.SUCCESS;
+  }
+  
+  let fileContent;
+  try {
+    fileContent = readFileWithSizeCheck(filePath);
+  } catch (error) {
+    log(`Error reading ${entry.filePath}: ${error.message}`, 'error');
+    return EXIT_CODES.TOOL_ERROR;
+  }
+  const lineNumber = findWardLine(fileContent.split('\n'), entry);
+  if (!lineNumber) {
+    log(`"${entry.original}" can no longer be found in ${entry.filePath}`, 'warning');
+    return EXIT_CODES.SUCCESS;
+  }
+  console.log(chalk.yellow('\nContext:'));
+  console.log(getContextLines(fileContent, lineNumber, 3));
+  return EXIT_CODES.SUCCESS;
+}
+
+// `wards remove`: by key, by --file or by --pattern
+function removeWards(args, store) {
+  const file = getArgValue(args, '--file');
+  const pattern = getArgValue(args, '--pattern');
+  const wards = store.getAll();
+  let keys;
+  
+  if (file) {
+    keys = selectWards(args, store).map(([key]) => key);
+  } else if (pattern) {
+    let regex;
+    try {
+      regex = new RegExp(pattern);
+    } catch (error) {
+      log(`Invalid pattern: ${error.message}`, 'error');
+      return EXIT_CODES.TOOL_ERROR;
+    }
+    keys = Object.keys(wards).filter(key => {
+      const { original, fingerprint } = wards[key];
+      return regex.test(original) || (!!fingerprint && regex.test(fingerprint.context));
+    });
+  } else {
+    keys = args.filter(arg => !arg.startsWith('--'));
+    const unknown = keys.filter(key => !wards[key]);
+    if (keys.length === 0 || unknown.length > 0) {
+      log(keys.length === 0 ? 'Pass ward keys, --file <path> or --pattern <regex>' : `No ward found with key ${unknown.join(', ')}`, 'error');
+      return EXIT_CODES.TOOL_ERROR;
+    }
+  }
+  
+  keys.forEach(key => {
+    console.log(`Removed ${formatWard(key, wards[key])}`);
+    store.remove(key);
+  });
+  store.save();
+  log(`Removed ${keys.length} ward(s)`, 'success');
+  return EXIT_CODES.SUCCESS;
+}
+
+// `wards prune`: remove wards whose file or text is gone
+// A ward is only pruned when a scan with the project's options (including useProjectEslint and its
+// forbid list) would no longer find its fix. The eslint engine is widened to both, since wards for
+// string literals come from AST runs. Scanning also moves wards whose lines have shifted to where
+// their text is now
+async function pruneWards(args, store) {
+  const dryRun = args.includes('--dry-run');
+  const engine = getArgValue(args, '--engine');
+  const cliOptions = {
+    ...(engine && { engine }),
+    ...(args.includes('--use-project-eslint') && { useProjectEslint: true })
+  };
+  
+  let options;
+  try {
+    validateOptions(cliOptions, 'command line');
+    const { options: resolved } = resolveOptions(cliOptions, { cwd: store.cwd });
+    // Every file with wards is scanned, however large
+    options = { ...resolved, maxFileSize: Infinity, cwd: store.cwd, wards: store };
+    if (!engine && options.engine === 'eslint') {
+      options.engine = 'both';
+    }
+    if (options.engine !== 'ast') {
+      options.eslint = await initESLint(options);
+    }
+  } catch (error) {
+    log(error.message, 'error');
+    return EXIT_CODES.TOOL_ERROR;
+  }
+  
+  const byFile = groupWardsByFile(store.getAll());
+  const existing = Object.keys(byFile).filter(filePath => fs.existsSync(filePath));
+  let scan;
+  try {
+    scan = await collectFixes(existing, options);
+  } catch (error) {
+    // The engine has already reported why; without its results nothing can be pruned safely
+    log('Could not scan the warded files - no wards were pruned', 'error');
+    return EXIT_CODES.TOOL_ERROR;
+  }
+  
+  const honored = new Set();
+  for (const { filePath, fixes } of scan.allFixes) {
+    fixes.forEach(fix => honored.add(store.createKey(filePath, fix)));
+  }
+  const failedFiles = new Set(scan.failedFiles);
+  failedFiles.forEach(filePath => log(`Could not scan ${filePath} - leaving its wards alone`, 'warning'));
+  
+  // Look the wards up again, since scanning re-keys the ones it relocated
+  let pruned = 0;
+  for (const [filePath, wards] of Object.entries(groupWardsByFile(store.getAll()))) {
+    if (failedFiles.has(filePath)) {
+      continue;
+    }
+    const reason = fs.existsSync(filePath) ? 'text no longer exists' : 'file no longer exists';
+    for (const { key, entry } of wards) {
+      if (honored.has(key)) {
+        continue;
+      }
+      console.log(`${dryRun ? 'Would prune' : 'Pruned'} ${formatWard(key, entry)} (${reason})`);
+      if (!dryRun) {
+        store.remove(key);
+      }
+      pruned++;
+    }
+  }
+  
+  if (!dryRun) {
+    store.save();
+  }
+  log(`${dryRun ? 'Would prune' : 'Pruned'} ${pruned} ward(s)`, 'success');
+  return failedFiles.size > 0 ? EXIT_CODES.TOOL_ERROR : EXIT_CODES.SUCCESS;
+}
+
+// `wards stats`: how many wards each file has
+function showWardStats(args, store) {
+  const wards = Object.values(store.getAll());
+  const perFile = {};
+  for (const entry of wards) {
+    perFile[entry.filePath] = (perFile[entry.filePath] || 0) + 1;
+  }
+  
+  const rows = Object.entries(perFile).sort(([aPath, a], [bPath, b]) => b - a || aPath.localeCompare(bPath));
+  const width = Math.max(0, ...rows.map(([, count]) => String(count).length));
+  rows.forEach(([filePath, count]) => console.log(`${String(count).padStart(width)}  ${filePath}`));
+  
+  const legacy = wards.filter(entry => !entry.fingerprint).length;
+  console.log(`\n${wards.length} ward(s) in ${rows.length} file(s)${legacy > 0 ? `, ${legacy} not yet fingerprinted` : ''}`);
+  return EXIT_CODES.SUCCESS;
+}
+
+// Find the line a ward is on now: its recorded line if the text is still there,
+// otherwise the line matching its fingerprint's context
+// Returns a 1-based line number, or null if the ward's text can't be found
+function findWardLine(lines, entry) {
+  const recorded = lines[entry.line - 1];
+  if (recorded !== undefined && recorded.includes(entry.original)) {
+    return entry.line;
+  }
+  
+  if (entry.fingerprint) {
+    const index = lines.findIndex(line => normalizeContext(line) === entry.fingerprint.context);
+    if (index !== -1) {
+      return index + 1;
+    }
+  }
+  
+  return null;
+}
+
+// Build the directive for a line: JSX children need a {/* */} comment, everywhere else a // comment
+function createDirective(lines, lineNumber, lineOffsets, jsxTextRanges) {
+  const indentation = lines[lineNumber - 1].match(/^\s*/)[0];
+  
+  // The line is inside JSX children if the line break before it is part of a JSX text node
+  const lineBreak = lineOffsets[lineNumber - 1] - 1;
+  const inJsxChildren = lineBreak >= 0 && jsxTextRanges.some(([start, end]) => lineBreak >= start && lineBreak < end);
+  
+  const comment = inJsxChildren ? `{/* ${DISABLE_DIRECTIVE} */}` : `// ${DISABLE_DIRECTIVE}`;
+  return `${indentation}${comment}\n`;
+}
+
+// Insert eslint-disable-next-line comments above every ward in a file
+// Returns { newContent, convertedKeys, missing } where missing lists wards that couldn't be found
+function addDisableDirectives(fileContent, wards) {
+  const lines = fileContent.split('\n');
+  const lineOffsets = getLineOffsets(fileContent);
+  const jsxTextRanges = getTextRanges(parseFile(fileContent)).jsxText;
+  
+  const edits = [];
+  const convertedKeys = [];
+  const missing = [];
+  const directiveLines = new Set();
+  
+  for (const { key, entry } of wards) {
+    const lineNumber = findWardLine(lines, entry);
+    if (!lineNumber) {
+      missing.push(entry);
+      continue;
+    }
+    convertedKeys.push(key);
+    
+    // One directive per line, and none where there already is one
+    const previousLine = lines[lineNumber - 2] || '';
+    if (directiveLines.has(lineNumber) || previousLine.includes(DISABLE_DIRECTIVE)) {
+      continue;
+    }
+    directiveLines.add(lineNumber);
+    
+    const start = lineOffsets[lineNumber - 1];
+    edits.push({ start, end: start, original: '', text: createDirective(lines, lineNumber, lineOffsets, jsxTextRanges) });
+  }
+  
+  const { content: newContent } = applyEdits(fileContent, edits);
+  return { newContent, convertedKeys, missing };
+}
+
+// Turn every ward into an ESLint disable directive, so the build honors the decision too
+function convertWardsToEslintDisable(store, { dryRun = false, patchFile = null } = {}) {
+  const byFile = groupWardsByFile(store.getAll());
+  const patches = [];
+  let converted = 0;
+  let failed = false;
+  
+  for (const [filePath, wards] of Object.entries(byFile)) {
+    if (!fs.existsSync(filePath)) {
+      log(`Skipping ${wards.length} ward(s) for missing file ${filePath}`, 'warning');
+      continue;
+    }
+    // ESLint doesn't check Vue, Svelte, Astro or MDX files, so their wards stay wards
+    if (isComponentFile(filePath)) {
+      log(`Skipping ${wards.length} ward(s) in ${filePath}, which ESLint doesn't check`, 'warning');
+      continue;
+    }
+    
+    try {
+      const fileContent = readFileWithSizeCheck(filePath);
+      const { newContent, convertedKeys, missing } = addDisableDirectives(fileContent, wards);
+      
+      for (const entry of missing) {
+        log(`Could not find "${entry.original}" from ${entry.filePath}:${entry.line} - leaving its ward alone`, 'warning');
+      }
+      
+      if (newContent !== fileContent) {
+        if (dryRun) {
+          patches.push(createFilePatch(filePath, fileContent, newContent));
+        } else {
+          writeFileWithVerification(filePath, newContent);
+          log(`✓ Added eslint-disable comments to ${filePath}`, 'success');
+        }
+      }
+      
+      // The directives now record these decisions, so the wards aren't needed anymore
+      if (!dryRun) {
+        convertedKeys.forEach(key => store.remove(key));
+      }
+      converted += convertedKeys.length;
+    } catch (error) {
+      log(`Error converting wards in ${filePath}: ${error.message}`, 'error');
+      failed = true;
+    }
+  }
+  
+  if (dryRun) {
+    outputPatch(patches, patchFile);
+  } else {
+    store.save();
+  }
+  log(`${dryRun ? 'Would convert' : 'Converted'} ${converted} ward(s) to eslint-disable comments`, 'success');
+  
+  return failed ? EXIT_CODES.TOOL_ERROR : EXIT_CODES.SUCCESS;
+}
+
+// Run `literal-hell wards ...` and return the exit code
+function runWardsCommand(args) {
+  if (args.includes('--help') || args.includes('-h')) {
+    showWardsHelp();
+    return EXIT_CODES.SUCCESS;
+  }
+  
+  const store = createWardStore().load();
+  
+  const [subcommand, ...subcommandArgs] = args;
+  const subcommands = {
+    list: listWards,
+    show: showWard,
+    remove: removeWards,
+    prune: pruneWards,
+    stats: showWardStats
+  };
+  if (subcommands[subcommand]) {
+    return subcommands[subcommand](subcommandArgs, store);
+  }
+  
+  if (args.includes('--to-eslint-disable')) {
+    const patchFile = getArgValue(args, '--patch') || null;
+    return convertWardsToEslintDisable(store, {
+      dryRun: args.includes('--dry-run') || !!patchFile,
+      patchFile
+    });
+  }
+  
+  showWardsHelp();
+  return EXIT_CODES.TOOL_ERROR;
+}
+
+module.exports = {
+  addDisableDirectives,
+  convertWardsToEslintDisable,
+  runWardsCommand
+};
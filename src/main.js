@@ -0,0 +1,135 @@
+#!/usr/bin/env node
+
+const path = require('path');
+const { parseArgs } = require('./lib/cli');
+const { EXIT_CODES } = require('./lib/config');
+const { createWardStore } = require('./lib/fixes');
+const { processFiles, checkFiles, fixText } = require('./lib/processor');
+const { cleanupStdin, readStdin } = require('./lib/ui');
+const { initESLint } = require('./lib/eslint');
+const { findFiles } = require('./lib/discovery');
+const { getChangedLines } = require('./lib/git');
+const { runWardsCommand } = require('./lib/wards');
+const { runInstallHookCommand } = require('./lib/hook');
+const { runLspCommand } = require('./lib/lsp');
+const { log } = require('./lib/logger');
+
+// Write to stdout and wait until it's flushed, since process.exit would cut off a piped write
+function writeStdout(text) {
+  return new Promise(resolve => process.stdout.write(text, resolve));
+}
+
+// Check or fix source piped to stdin; the fixed source (or the report) goes to stdout
+async function runStdin(options) {
+  const filePath = path.resolve(options.stdinFilename);
+  const fileContent = await readStdin();
+  
+  try {
+    if (options.check || options.format !== 'text') {
+      const { pendingFixes, failedFiles } = await checkFiles([filePath], options, { [filePath]: fileContent });
+      if (failedFiles.length > 0) {
+        return EXIT_CODES.TOOL_ERROR;
+      }
+      return pendingFixes > 0 ? EXIT_CODES.ISSUES_FOUND : EXIT_CODES.SUCCESS;
+    }
+    
+    const { output, failed } = await fixText(filePath, fileContent, options);
+    await writeStdout(output);
+    return failed ? EXIT_CODES.TOOL_ERROR : EXIT_CODES.SUCCESS;
+  } catch (error) {
+    // Still print the source unchanged, so piping through literal-hell never loses it
+    if (!options.check && options.format === 'text') {
+      await writeStdout(fileContent);
+    }
+    return EXIT_CODES.TOOL_ERROR;
+  }
+}
+
+async function main() {
+  // Subcommands have their own arguments
+  const [command, ...commandArgs] = process.argv.slice(2);
+  if (command === 'wards') {
+    return runWardsCommand(commandArgs);
+  }
+  if (command === 'install-hook') {
+    return runInstallHookCommand(commandArgs);
+  }
+  if (command === 'lsp') {
+    return runLspCommand(commandArgs);
+  }
+  
+  // Parse command line arguments and resolve the effective options
+  const options = parseArgs();
+  
+  // Load previously rejected fixes
+  const wards = createWardStore();
+  if (options.clearHistory) {
+    wards.clear();
+  } else {
+    wards.load();
+  }
+  options.wards = wards;
+  
+  // Initialize ESLint instance, unless only the AST engine is used
+  if (options.engine !== 'ast') {
+    options.eslint = await initESLint(options);
+  }
+  
+  if (options.stdin) {
+    return runStdin(options);
+  }
+  
+  // Find all JavaScript and TypeScript files, narrowed to what git says changed if asked
+  log('Searching for JavaScript and TypeScript files...', 'info');
+  let filePaths;
+  try {
+    filePaths = await findFiles(options);
+    if (options.changedLines) {
+      options.changedLineRanges = getChangedLines(options);
+    }
+  } catch (error) {
+    log(error.message, 'error');
+    return EXIT_CODES.TOOL_ERROR;
+  }
+  
+  if (filePaths.length === 0) {
+    log('No JavaScript or TypeScript files found to process', 'warning');
+    return EXIT_CODES.SUCCESS;
+  }
+  
+  log(`Found ${filePaths.length} files to process`, 'info');
+  
+  // Check mode and report formats never prompt, so report and exit with a meaningful code
+  if (options.check || options.format !== 'text') {
+    const { pendingFixes, failedFiles } = await checkFiles(filePaths, options);
+    if (failedFiles.length > 0) {
+      return EXIT_CODES.TOOL_ERROR;
+    }
+    return pendingFixes > 0 ? EXIT_CODES.ISSUES_FOUND : EXIT_CODES.SUCCESS;
+  }
+  
+  // Set up cleanup for stdin on process exit
+  cleanupStdin();
+  
+  // Handle SIGINT to save rejection history before exiting
+  process.on('SIGINT', () => {
+    log('Saving rejection history and exiting...', 'info');
+    wards.save();
+    process.exit(EXIT_CODES.SUCCESS);
+  });
+  
+  // Process all files (which saves the rejection history when it's done)
+  const { failed } = await processFiles(filePaths, options);
+  
+  return failed ? EXIT_CODES.TOOL_ERROR : EXIT_CODES.SUCCESS;
+}
+
+// Run the main function
+main()
+  .then((exitCode) => {
+    process.exit(exitCode);
+  })
+  .catch((error) => {
+    console.error('Fatal error:', error);
+    process.exit(EXIT_CODES.TOOL_ERROR);
+  });